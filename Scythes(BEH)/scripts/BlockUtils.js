@@ -1,21 +1,41 @@
-import { Block, BlockTypes, BlockVolume, BlockVolumeBase, Dimension, Entity, ItemStack, Player, system, world } from "@minecraft/server";
+import { Block, BlockPermutation, BlockTypes, BlockVolume, BlockVolumeBase, ContainerSlot, Dimension, Entity, EntityComponentTypes, EquipmentSlot, GameMode, ItemStack, Player, system, world } from "@minecraft/server";
 import { Vector3 } from "./classes/Vector3";
-import { getDropCount, getFortuneLevel, isItemSeed, spawnItems } from "./ItemUtils";
-import { getHeldItem, giveEntityItems } from "./InventoryLibrary(1.1.2)";
+import { getDropCount, getFortuneLevel, spawnItems } from "./ItemUtils";
+import { getContainerSlots, getHeldItem, getIdenticalItemStacks, giveEntityItems } from "./InventoryLibrary(1.1.2)";
 import { addVectors, floorVector, subtractVectors } from "./vectorUtils";
-import { getRandomFloat, getRandomInt } from "./main";
-import { scytheDestructable } from "./ScytheDestructable";
+import { getRandomFloat, getRandomInt } from "./Random";
+import { getScytheDestructables, getWorldConfig } from "./WorldConfig";
+import { getPlayerSetting, playScytheSound } from "./PlayerSettings";
+import { getCropDefinition, getCropSweepYOffsets, getGourdDefinition, getPickableDefinition, getSowableCropDefinition, isCropInSweepYOffset } from "./CropRegistry";
+import { getCropLootTable, getLootTableItemIds, rollLootTable } from "./CropLootTables";
+import { emitScytheEvent } from "./ScytheEvents";
+import { getSweepProtection } from "./SweepProtection";
+import { createUndoEntry, recordBlockChange, recordUsedItems, saveUndoEntry, setRecordingUndoEntry } from "./SweepUndo";
+
+/**
+ * The event of the sweep whose blocks are being processed right now. Drops given while it is set are counted towards it.
+ * @type {SweepEvent | undefined}
+ */
+let activeSweepEvent = undefined;
+
+/**
+ * The blocks a till and sow sweep turns into farmland, like a hoe does.
+ */
+const tillableBlockIds = ["minecraft:dirt", "minecraft:grass_block", "minecraft:grass_path"];
+
+const boneMealItemId = "minecraft:bone_meal";
 
 /**
  * Determines if a block can be destroyed with a scyth.
  * @param {Block} block
  */
 export function isBlockScytheDestructable(block) {
-	return scytheDestructable.includes(block.typeId);
+	return getScytheDestructables().includes(block.typeId);
 }
 
 /**
- * Destroys a block.
+ * Destroys a block, dropping what it drops when broken by hand.
+ * The drops come from the game, so they are counted from the item entities that show up at the block, letting the sweep be undone like any other.
  * @param {Block} block
  */
 function destroyBlock(block) {
@@ -23,8 +43,44 @@ function destroyBlock(block) {
 	const x = block.location.x;
 	const y = block.location.y;
 	const z = block.location.z;
+	const center = block.center();
+	const countedItemIds = new Set(getItemEntitiesNear(dimension, center).map((item) => item.id));
+
+	// Counts the item entities at the block that weren't there before it was destroyed.
+	const countDrops = (spawnedDrops) => {
+		for (const item of getItemEntitiesNear(dimension, center)) {
+			if (countedItemIds.has(item.id)) {
+				continue;
+			}
+
+			const itemStack = item.getComponent(EntityComponentTypes.Item).itemStack;
 
+			countedItemIds.add(item.id);
+			addDropCount(spawnedDrops, itemStack.typeId, itemStack.amount);
+		}
+	};
+
+	recordBlockChange(block, true);
 	dimension.runCommand(`setblock ${x} ${y} ${z} air destroy`);
+
+	if (activeSweepEvent) {
+		const spawnedDrops = activeSweepEvent.spawnedDrops;
+
+		countDrops(spawnedDrops);
+
+		// Drops the game only adds on the next tick are still counted, as the undo entry shares this tally.
+		system.run(() => countDrops(spawnedDrops));
+	}
+}
+
+/**
+ * Gets the item entities lying at a block.
+ * @param {Dimension} dimension
+ * @param {Vector3} center - The center of the block.
+ * @returns {Entity[]}
+ */
+function getItemEntitiesNear(dimension, center) {
+	return dimension.getEntities({ type: "minecraft:item", location: center, maxDistance: 1 });
 }
 
 /**
@@ -32,9 +88,35 @@ function destroyBlock(block) {
  * @param {Block} block
  */
 export function isBlockCrop(block) {
-	const crops = ["minecraft:wheat", "minecraft:carrots", "minecraft:potatoes", "minecraft:beetroot"];
+	const cropDefinition = getCropDefinition(block.typeId);
+
+	if (!cropDefinition) {
+		return false;
+	}
+
+	// Plants that are also used as decoration only count as crops on the right soil.
+	if (cropDefinition.soilBlockIds) {
+		const soilBlock = getCropBase(block).below();
+
+		return soilBlock !== undefined && cropDefinition.soilBlockIds.includes(soilBlock.typeId);
+	}
+
+	return true;
+}
+
+/**
+ * Gets the lower half of a crop that is two blocks tall. For any other crop, returns the crop itself.
+ * @param {Block} crop
+ * @returns {Block}
+ */
+export function getCropBase(crop) {
+	const cropDefinition = getCropDefinition(crop.typeId);
+
+	if (cropDefinition && cropDefinition.upperHalfState && getBlockState(crop, cropDefinition.upperHalfState)) {
+		return crop.below();
+	}
 
-	return crops.includes(block.typeId);
+	return crop;
 }
 
 /**
@@ -42,9 +124,20 @@ export function isBlockCrop(block) {
  * @param {Block} crop
  */
 export function isCropRipe(crop) {
-	const growthStage = getBlockState(crop, "growth");
+	const cropDefinition = getCropDefinition(crop.typeId);
 
-	return growthStage == 7;
+	if (!cropDefinition) {
+		return false;
+	}
+
+	// Crops without a growth state are only registered once they are fully grown.
+	if (!cropDefinition.growthState) {
+		return true;
+	}
+
+	const growthStage = getBlockState(crop, cropDefinition.growthState);
+
+	return growthStage === cropDefinition.ripeValue;
 }
 
 /**
@@ -76,34 +169,88 @@ export function isBlockBamboo(block) {
 }
 
 /**
- * Gets the id of the item or items a crop should drop.
+ * Determines if a block is a gourd, like a melon or pumpkin. Stems are not gourds.
+ * @param {Block} block
+ */
+export function isBlockGourd(block) {
+	return getGourdDefinition(block.typeId) !== undefined;
+}
+
+/**
+ * Determines if a block is a plant that can be picked in place, like a sweet berry bush or glow berry vine.
+ * @param {Block} block
+ */
+export function isBlockPickable(block) {
+	return getPickableDefinition(block.typeId) !== undefined;
+}
+
+/**
+ * Gets the stage a pickable plant is at. If it has nothing to pick yet, returns undefined.
+ * @param {Block} plant
+ * @returns {PickStage | undefined}
+ */
+function getPickStage(plant) {
+	const pickableDefinition = getPickableDefinition(plant.typeId);
+
+	if (!pickableDefinition) {
+		return undefined;
+	}
+
+	// Plants without a growth state can always be picked.
+	if (!pickableDefinition.growthState) {
+		return pickableDefinition.stages[0];
+	}
+
+	const growthStage = getBlockState(plant, pickableDefinition.growthState);
+
+	return pickableDefinition.stages.find((stage) => growthStage >= stage.minValue);
+}
+
+/**
+ * Determines if a pickable plant has anything on it to pick.
+ * @param {Block} plant
+ */
+export function isPlantPickable(plant) {
+	return getPickStage(plant) !== undefined;
+}
+
+/**
+ * Gets the id of every item a crop can drop, from its loot table if it has one, or else from its registry entry.
  * @param {Block} crop
+ * @returns {string[]}
  */
 export function getCropDropItemId(crop) {
-	let dropIds = [];
+	const cropDefinition = getCropDefinition(crop.typeId);
 
-	switch (crop.typeId) {
-		case "minecraft:carrots": {
-			dropIds.push("minecraft:carrot");
-			break;
-		}
-		case "minecraft:potatoes": {
-			dropIds.push("minecraft:potato");
-			break;
-		}
-		case "minecraft:wheat": {
-			dropIds.push("minecraft:wheat");
-			dropIds.push("minecraft:wheat_seeds");
-			break;
-		}
-		case "minecraft:beetroot": {
-			dropIds.push("minecraft:beetroot");
-			dropIds.push("minecraft:beetroot_seeds");
-			break;
-		}
+	if (!cropDefinition) {
+		return [];
 	}
 
-	return dropIds;
+	const lootTable = getCropLootTable(cropDefinition.blockId);
+
+	return lootTable ? getLootTableItemIds(lootTable) : [...cropDefinition.drops];
+}
+
+/**
+ * Rolls what a ripe crop drops. Crops with a loot table use it, and any other crop drops what its registry entry lists.
+ * @param {CropDefinition} cropDefinition
+ * @param {ItemStack | undefined} scythe - The scythe used, for its Fortune level.
+ * @returns {Object<string, number>} The number of each item dropped, keyed by item id.
+ */
+function getCropDrops(cropDefinition, scythe) {
+	const lootTable = getCropLootTable(cropDefinition.blockId);
+
+	if (lootTable) {
+		return rollLootTable(lootTable, scythe ? getFortuneLevel(scythe) : 0);
+	}
+
+	const drops = {};
+
+	for (const itemId of cropDefinition.drops) {
+		drops[itemId] = cropDefinition.dropQuantity ?? getDropCount(scythe);
+	}
+
+	return drops;
 }
 
 /**
@@ -125,6 +272,49 @@ export function getBlockState(block, stateId) {
 	return block.permutation.getState(stateId);
 }
 
+/**
+ * Gives harvested items to the player. Whatever doesn't fit in their inventory, or everything if they have turned auto pickup off, is dropped at the block.
+ * @param {Player} player
+ * @param {Block} block - The harvested block, where items are dropped.
+ * @param {string} itemId
+ * @param {number} quantity
+ */
+function giveHarvestDrops(player, block, itemId, quantity) {
+	if (quantity <= 0) {
+		return;
+	}
+
+	let remainder = quantity;
+
+	// Add as many items to the player's inventory as possible. The remaining quantity is stored.
+	if (getPlayerSetting(player, "autoPickup")) {
+		remainder = giveEntityItems(player, new ItemStack(itemId, quantity));
+	}
+
+	// If there is any remainder, spawn them at the block.
+	if (remainder > 0) {
+		recordBlockChange(block, true);
+		spawnItems(block, itemId, remainder);
+	}
+
+	if (activeSweepEvent) {
+		addDropCount(activeSweepEvent.givenDrops, itemId, quantity - remainder);
+		addDropCount(activeSweepEvent.spawnedDrops, itemId, remainder);
+	}
+}
+
+/**
+ * Adds to the count of an item in a tally of drops.
+ * @param {Object<string, number>} drops
+ * @param {string} itemId
+ * @param {number} quantity
+ */
+function addDropCount(drops, itemId, quantity) {
+	if (quantity > 0) {
+		drops[itemId] = (drops[itemId] ?? 0) + quantity;
+	}
+}
+
 /**
  * Harvests a crop and handles giving the drops to the player.
  * @param {Block} crop
@@ -132,43 +322,175 @@ export function getBlockState(block, stateId) {
  */
 export function harvestCrop(crop, player, playSound = true) {
 	const scythe = getHeldItem(player);
-	const cropName = crop.typeId.split(":")[1];
+	const cropDefinition = getCropDefinition(crop.typeId);
 
-	// If crop is not ripe, don't do anything.
-	if (!isCropRipe(crop)) {
+	// If the block is not a crop, or the crop is not ripe, don't do anything.
+	if (!isBlockCrop(crop) || !isCropRipe(crop)) {
 		return;
 	}
 
-	// Get the id's of the item, or items, the crop should drop.
-	const dropItemIds = getCropDropItemId(crop);
+	// Two block tall crops are always harvested from their lower half, so the upper half never drops anything itself.
+	crop = getCropBase(crop);
+	const upperHalf = cropDefinition.upperHalfState ? crop.above() : undefined;
+
+	// Players can turn replanting off, in which case the crop is removed and none of its drops are held back.
+	let replant = cropDefinition.replant !== undefined && getPlayerSetting(player, "replant");
 
-	// Handle drops for every item in the array.
-	dropItemIds.forEach((itemId) => {
-		// Get the number of items to drop, based on the fortune level of the scythe.
-		let dropQuantity = getDropCount(scythe);
+	// Worlds can make replanting use a seed from the player's inventory, instead of holding one back from the drops.
+	// Crops that never drop their own seed, like torchflowers, always take it from the inventory, so replanting them is not free.
+	const seedFromDrops = getCropDropItemId(crop).includes(cropDefinition.seedItemId);
+	const replantsFromInventory = replant && cropDefinition.seedItemId !== undefined && (getWorldConfig().replantFromInventory || !seedFromDrops);
 
-		// If the item is used as a seed, subtract one. This is done because the crop is automatically replanted.
-		if (isItemSeed(itemId)) {
+	// Roll what the crop drops, based on the fortune level of the scythe.
+	const drops = getCropDrops(cropDefinition, scythe);
+
+	// Handle drops for every item rolled.
+	for (let [itemId, dropQuantity] of Object.entries(drops)) {
+		// If the item is used as the crop's seed, subtract one. This is done because the crop is automatically replanted.
+		if (replant && !replantsFromInventory && itemId === cropDefinition.seedItemId) {
 			dropQuantity -= 1;
 		}
 
-		let remainder = 0;
-
 		// Drop quantity can be 0, if the original number was 1. In this case, the crop will give the player nothing, but still be replanted.
 		if (dropQuantity > 0) {
-			// Add as many items to the player's inventory as possible. The remaining quantity is stored.
-			remainder = giveEntityItems(player, new ItemStack(itemId, dropQuantity));
+			giveHarvestDrops(player, crop, itemId, dropQuantity);
 		}
+	}
 
-		// If there is any remainder, spawn them at the crop block.
-		if (remainder > 0) {
-			spawnItems(crop, itemId, remainder);
-		}
-	});
+	// The seed is taken after the drops are given, so a seed that was just harvested can be planted again.
+	if (
+		replantsFromInventory &&
+		!takeItem(
+			player,
+			getContainerSlots(player).map(({ slot }) => slot),
+			cropDefinition.seedItemId
+		)
+	) {
+		player.onScreenDisplay.setActionBar("You have no seeds left to replant.");
+		replant = false;
+	}
+
+	// Remove the upper half first, so it is not left floating above the replanted crop.
+	if (upperHalf && upperHalf.typeId === cropDefinition.blockId) {
+		recordBlockChange(upperHalf);
+		upperHalf.setType("minecraft:air");
+	}
+
+	recordBlockChange(crop);
+
+	if (replant) {
+		replantCrop(crop, cropDefinition);
+	} else {
+		crop.setType("minecraft:air");
+	}
+}
+
+/**
+ * Replants a harvested crop the way its registry entry describes.
+ * @param {Block} crop
+ * @param {CropDefinition} cropDefinition
+ */
+function replantCrop(crop, cropDefinition) {
+	const replant = cropDefinition.replant;
 
 	// Replace the crop with a fake block version of it.
 	// This fake block will instantly be broken and place a seed version of itself.
-	crop.setType(`djc:fake_${cropName}`);
+	if (replant.fakeBlockId) {
+		crop.setType(replant.fakeBlockId);
+		return;
+	}
+
+	crop.setPermutation(getReplantPermutation(crop.permutation, cropDefinition));
+}
+
+/**
+ * Gets the permutation a crop is replanted with. States the replant doesn't set are carried over from the harvested crop when the block type stays the same.
+ * @param {BlockPermutation} permutation - The permutation of the harvested crop.
+ * @param {CropDefinition} cropDefinition
+ * @returns {BlockPermutation}
+ */
+export function getReplantPermutation(permutation, cropDefinition) {
+	return getPermutationWithStates(permutation, cropDefinition.replant, cropDefinition.blockId);
+}
+
+/**
+ * Applies a replant, or what a picked plant becomes, to a permutation. If the block type stays the same, every other state is kept.
+ * @param {BlockPermutation} permutation
+ * @param {CropReplant} replant
+ * @param {string} defaultBlockId - The block id used when the replant doesn't name one.
+ * @returns {BlockPermutation}
+ */
+function getPermutationWithStates(permutation, replant, defaultBlockId) {
+	const blockId = replant.blockId ?? defaultBlockId;
+
+	let newPermutation;
+
+	if (permutation.type.id === blockId) {
+		newPermutation = permutation;
+	} else {
+		// Carry over the states the new block type shares with the old one, like the age of a cave vine.
+		newPermutation = BlockPermutation.resolve(blockId);
+
+		for (const [stateName, value] of Object.entries(permutation.getAllStates())) {
+			try {
+				newPermutation = newPermutation.withState(stateName, value);
+			} catch {
+				// The new block type doesn't have this state, so it is left out.
+			}
+		}
+	}
+
+	for (const [stateName, value] of Object.entries(replant.states)) {
+		newPermutation = newPermutation.withState(stateName, value);
+	}
+
+	return newPermutation;
+}
+
+/**
+ * Picks a plant in place and handles giving the picked items to the player. The plant itself is kept.
+ * @param {Block} plant
+ * @param {Player} player
+ */
+export function pickPlant(plant, player) {
+	const pickableDefinition = getPickableDefinition(plant.typeId);
+	const pickStage = getPickStage(plant);
+
+	// If there is nothing to pick, don't do anything.
+	if (!pickStage) {
+		return;
+	}
+
+	const dropQuantity = getRandomInt(pickStage.minDrops, pickStage.maxDrops);
+
+	giveHarvestDrops(player, plant, pickableDefinition.dropItemId, dropQuantity);
+
+	recordBlockChange(plant);
+	plant.setPermutation(getPermutationWithStates(plant.permutation, pickableDefinition.picked, pickableDefinition.blockId));
+}
+
+/**
+ * Breaks a gourd and handles giving the drops to the player. The stem it grew from is left alone.
+ * @param {Block} gourd
+ * @param {Player} player
+ */
+export function harvestGourd(gourd, player) {
+	const gourdDefinition = getGourdDefinition(gourd.typeId);
+
+	let dropQuantity = getRandomInt(gourdDefinition.minDrops, gourdDefinition.maxDrops);
+
+	// Each level of fortune can add one more item, up to the gourd's limit.
+	if (gourdDefinition.maxFortuneDrops) {
+		const fortuneLevel = getFortuneLevel(getHeldItem(player));
+
+		dropQuantity = Math.min(dropQuantity + getRandomInt(0, fortuneLevel), gourdDefinition.maxFortuneDrops);
+	}
+
+	giveHarvestDrops(player, gourd, gourdDefinition.dropItemId, dropQuantity);
+
+	// The drops have already been handled, so the gourd is removed without dropping itself.
+	recordBlockChange(gourd);
+	gourd.setType("minecraft:air");
 }
 
 /**
@@ -181,6 +503,7 @@ export function harvestSugarcane(block, player) {
 	const bottomSugarcane = supportBlock.above();
 
 	// Get a list of all sugarcane blocks in the volume.
+	// The bottom block is left standing to grow back, so no seed is needed, even when replanting uses seeds from the inventory.
 	const sugarcaneBlocks = getStackedPlant(bottomSugarcane);
 
 	// Handle harvesting each block.
@@ -198,7 +521,7 @@ export function harvestBamboo(block, player) {
 	const supportBlock = getSupportBlock(block);
 	const bottomBamboo = supportBlock.above();
 
-	// Get a list of all sugarcane blocks in the volume.
+	// Get a list of all sugarcane blocks in the volume. Like sugarcane, the bottom block is left standing to grow back.
 	const bambooBlocks = getStackedPlant(bottomBamboo);
 
 	// Handle harvesting each block.
@@ -219,14 +542,9 @@ export function harvestBamboo(block, player) {
 function harvestSinglePlant(player, block, dropId, fakeBlockId, defaultQuantity = 1) {
 	const fortuneLevel = getFortuneLevel(getHeldItem(player));
 
-	// Attempt to insert drops directly into the player's inventory.
-	// If the inventory can't fit the entire stack, return the remainder.
-	const remainder = giveEntityItems(player, new ItemStack(dropId, defaultQuantity + getRandomInt(0, fortuneLevel)));
+	giveHarvestDrops(player, block, dropId, defaultQuantity + getRandomInt(0, fortuneLevel));
 
-	// If there are leftover items, spawn them at the block's location.
-	if (remainder > 0) {
-		spawnItems(block, dropId, remainder);
-	}
+	recordBlockChange(block);
 
 	// Handle the block breaking logic.
 	if (isBlockWithinDistance(block, player, 10)) {
@@ -304,38 +622,98 @@ function getSupportBlock(startBlock) {
 
 /**
  * Harvests crops in an area around a block.
- * @param {Block} centerBlock
- * @param {number} width
  * @param {Player} player
+ * @param {number} arcWidth
+ * @param {number} arcRange
+ * @param {number} [height=2] - How many block layers the sweep covers, starting at the player's feet.
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
+ * @returns {Promise<number>} Resolves with the number of processed blocks once the whole sweep is done.
  */
-export function multiHarvestArc(player, arcWidth, arcRange) {
-	// Get a list of blocks around the center to harvest.
-	const blocksToHarvest = getBlocksInSweep(player, arcWidth, arcRange);
+export function multiHarvestArc(player, arcWidth, arcRange, height = 2, shape = "arc") {
+	// Crops like cocoa grow above and below the layers the sweep normally covers, so the sweep is stretched to reach them.
+	const [cropMinYOffset, cropMaxYOffset] = getCropSweepYOffsets();
+	const minYOffset = Math.min(cropMinYOffset, 0);
+	const maxYOffset = Math.max(cropMaxYOffset, height - 1);
+	const feetY = Math.floor(player.location.y);
+
+	// Get a list of blocks around the center to harvest. Outside the normal layers, only crops and pickable plants that are meant to be found there are kept,
+	// so the extra layers don't take up the sweep's per tick budget in fields without them.
+	const blocksToHarvest = getBlocksInSweep(player, arcWidth, arcRange, minYOffset, maxYOffset, shape).filter((block) => {
+		const yOffset = block.location.y - feetY;
+
+		if (yOffset >= 0 && yOffset <= height - 1) {
+			return true;
+		}
+
+		const definition = getCropDefinition(block.typeId) ?? getPickableDefinition(block.typeId);
+
+		return definition !== undefined && definition.sweepYOffsets !== undefined && isCropInSweepYOffset(definition, yOffset);
+	});
 
 	// Play whooshing sound
-	player.playSound("scythe.whoosh", { pitch: getRandomFloat(1, 1.5) });
+	playScytheSound(player, "scythe.whoosh", { pitch: getRandomFloat(1, 1.5) });
+
+	// Players can choose to only harvest crops, leaving flowers and grass standing.
+	const cropsOnly = getPlayerSetting(player, "cropsOnly");
 
-	let processedBlockCount = 0;
+	// Players can choose to use bone meal on the crops that aren't ripe yet.
+	const boneMealSlots = getPlayerSetting(player, "fertilize") ? getBoneMealSlots(player) : undefined;
+	const harvestFertilized = getPlayerSetting(player, "harvestFertilized");
 
-	for (let block of blocksToHarvest) {
+	return runSweep(player, blocksToHarvest, "harvest", (block) => {
 		if (isBlockCrop(block)) {
 			if (isCropRipe(block)) {
 				harvestCrop(block, player, false);
-				processedBlockCount++;
+				return "crop";
+			}
+
+			if (boneMealSlots && fertilizeCrop(block, player, boneMealSlots)) {
+				// Players can choose to harvest the crops bone meal made ripe in the same sweep.
+				if (harvestFertilized && isCropRipe(block)) {
+					harvestCrop(block, player, false);
+					return "crop";
+				}
+
+				return "fertilized";
+			}
+		} else if (isBlockPickable(block)) {
+			if (isPlantPickable(block)) {
+				pickPlant(block, player);
+				return "pickable";
 			}
 		} else if (isBlockSugarcane(block)) {
 			harvestSugarcane(block, player);
-			processedBlockCount++;
+			return "sugarcane";
 		} else if (isBlockBamboo(block)) {
 			harvestBamboo(block, player);
-			processedBlockCount++;
-		} else if (isBlockScytheDestructable(block)) {
+			return "bamboo";
+		} else if (isBlockGourd(block)) {
+			harvestGourd(block, player);
+			return "gourd";
+		} else if (!cropsOnly && isBlockScytheDestructable(block)) {
 			destroyBlock(block);
-			processedBlockCount++;
+			return "destroyed";
 		}
-	}
 
-	return processedBlockCount;
+		return undefined;
+	});
+}
+
+/**
+ * Harvests only the crop a single target scythe was used on.
+ * @param {Player} player
+ * @param {Block} block
+ * @returns {Promise<number>} Resolves with 1 if the crop was harvested, or 0 if it wasn't a ripe crop.
+ */
+export function harvestSingleCrop(player, block) {
+	return runSweep(player, [block], "harvest", (block) => {
+		if (!isBlockCrop(block) || !isCropRipe(block)) {
+			return undefined;
+		}
+
+		harvestCrop(block, player);
+		return "crop";
+	});
 }
 
 /**
@@ -343,153 +721,599 @@ export function multiHarvestArc(player, arcWidth, arcRange) {
  * @param {Player} player
  * @param {number} arcWidth
  * @param {number} arcRange
+ * @param {number} [height=2] - How many block layers the sweep covers, starting at the player's feet.
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
+ * @returns {Promise<number>} Resolves with the number of processed blocks once the whole sweep is done.
  */
-export function destroyBlocksArc(player, arcWidth, arcRange) {
-	const blocksToDestroy = getBlocksInSweep(player, arcWidth, arcRange);
+export function destroyBlocksArc(player, arcWidth, arcRange, height = 2, shape = "arc") {
+	const blocksToDestroy = getBlocksInSweep(player, arcWidth, arcRange, 0, height - 1, shape);
 
-	player.playSound("scythe.whoosh", { pitch: getRandomFloat(1, 1.5) });
+	playScytheSound(player, "scythe.whoosh", { pitch: getRandomFloat(1, 1.5) });
 
-	let processedBlockCount = 0;
+	// Players can choose to only harvest crops, leaving flowers and grass standing.
+	const cropsOnly = getPlayerSetting(player, "cropsOnly");
 
-	for (let block of blocksToDestroy) {
-		if (scytheDestructable.includes(block.typeId)) {
+	return runSweep(player, blocksToDestroy, "destroy", (block) => {
+		if (cropsOnly && !isBlockCrop(block) && !isBlockSugarcane(block) && !isBlockBamboo(block)) {
+			return undefined;
+		}
+
+		if (isBlockScytheDestructable(block)) {
 			destroyBlock(block);
-			processedBlockCount++;
+			return "destroyed";
+		}
+
+		return undefined;
+	});
+}
+
+/**
+ * Tills the dirt and grass in a sweep into farmland, and sows seeds from the player's inventory on the empty farmland.
+ * @param {Player} player
+ * @param {number} arcWidth
+ * @param {number} arcRange
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
+ * @returns {Promise<number>} Resolves with the number of processed blocks once the whole sweep is done.
+ */
+export function tillAndSowArc(player, arcWidth, arcRange, shape = "arc") {
+	// The soil is found below the player's feet when standing on dirt, and at their feet when standing on farmland, which is a little lower than a full block.
+	const soilBlocks = getBlocksInSweep(player, arcWidth, arcRange, -1, 0, shape);
+
+	playScytheSound(player, "scythe.whoosh", { pitch: getRandomFloat(1, 1.5) });
+
+	return runSweep(player, soilBlocks, "sow", getSoilProcessor(player));
+}
+
+/**
+ * Tills and sows only the block a single target scythe was used on.
+ * @param {Player} player
+ * @param {Block} block
+ * @returns {Promise<number>} Resolves with 1 if the block was tilled or sown, or 0 if it wasn't.
+ */
+export function tillAndSowBlock(player, block) {
+	return runSweep(player, [block], "sow", getSoilProcessor(player));
+}
+
+/**
+ * Builds the function a till and sow sweep processes its blocks with. Dirt and grass with nothing on top are tilled, and empty farmland is sown.
+ * Seeds are taken from the first stack of sowable seeds in the player's inventory, then from identical stacks once it runs out.
+ * @param {Player} player
+ * @returns {(block: Block) => string | undefined}
+ */
+function getSoilProcessor(player) {
+	const seedSlots = getSeedSlots(player);
+	const cropDefinition = seedSlots.length > 0 ? getSowableCropDefinition(seedSlots[0].typeId) : undefined;
+
+	if (!cropDefinition) {
+		player.onScreenDisplay.setActionBar("You have no seeds to sow.");
+	}
+
+	return (block) => {
+		const above = block.above();
+
+		if (!above || !above.isAir) {
+			return undefined;
+		}
+
+		let category = undefined;
+
+		if (tillableBlockIds.includes(block.typeId)) {
+			recordBlockChange(block);
+			block.setType("minecraft:farmland");
+			category = "tilled";
+		}
+
+		if (block.typeId !== "minecraft:farmland" || !cropDefinition) {
+			return category;
+		}
+
+		if (!takeItem(player, seedSlots, cropDefinition.seedItemId)) {
+			return category;
+		}
+
+		const replant = cropDefinition.replant;
+
+		recordBlockChange(above);
+		above.setPermutation(BlockPermutation.resolve(replant.blockId ?? cropDefinition.blockId, replant.states));
+
+		return "sown";
+	};
+}
+
+/**
+ * Gets the slots holding the seeds a till and sow sweep uses: the first stack of sowable seeds in the player's inventory, and every stack identical to it.
+ * @param {Player} player
+ * @returns {ContainerSlot[]}
+ */
+function getSeedSlots(player) {
+	for (const { slot } of getContainerSlots(player)) {
+		if (slot.hasItem() && getSowableCropDefinition(slot.typeId)) {
+			return getIdenticalItemStacks(slot.getItem(), player);
+		}
+	}
+
+	return [];
+}
+
+/**
+ * Gets the slots a fertilizing sweep takes bone meal from: the offhand first, then every stack of bone meal in the player's inventory.
+ * @param {Player} player
+ * @returns {ContainerSlot[]}
+ */
+function getBoneMealSlots(player) {
+	const offhandSlot = player.getComponent(EntityComponentTypes.Equippable).getEquipmentSlot(EquipmentSlot.Offhand);
+
+	return [offhandSlot, ...getIdenticalItemStacks(new ItemStack(boneMealItemId), player)];
+}
+
+/**
+ * Grows an unripe crop with one bone meal, like using bone meal on it by hand.
+ * @param {Block} crop
+ * @param {Player} player
+ * @param {ContainerSlot[]} boneMealSlots - The slots the bone meal is taken from.
+ * @returns {boolean} Whether the crop was grown. Crops that can't be fertilized, and crops the player has no bone meal left for, are left alone.
+ */
+function fertilizeCrop(crop, player, boneMealSlots) {
+	const cropDefinition = getCropDefinition(crop.typeId);
+
+	if (!cropDefinition.boneMealGrowth || !takeItem(player, boneMealSlots, boneMealItemId)) {
+		return false;
+	}
+
+	const [minGrowth, maxGrowth] = cropDefinition.boneMealGrowth;
+	const growthStage = getBlockState(crop, cropDefinition.growthState);
+
+	recordBlockChange(crop);
+	crop.setPermutation(crop.permutation.withState(cropDefinition.growthState, Math.min(growthStage + getRandomInt(minGrowth, maxGrowth), cropDefinition.ripeValue)));
+	crop.dimension.spawnParticle("minecraft:crop_growth_emitter", crop.center());
+
+	return true;
+}
+
+/**
+ * Takes one item out of the given slots, for sweeps that use items up, like seeds or bone meal. Players in creative mode don't use up items.
+ * @param {Player} player
+ * @param {ContainerSlot[]} slots
+ * @param {string} itemId
+ * @returns {boolean} Whether there was an item left to take.
+ */
+function takeItem(player, slots, itemId) {
+	if (player.getGameMode() === GameMode.creative) {
+		return true;
+	}
+
+	const itemSlot = slots.find((slot) => slot.isValid() && slot.hasItem() && slot.typeId === itemId);
+
+	if (!itemSlot) {
+		return false;
+	}
+
+	if (itemSlot.amount === 1) {
+		itemSlot.setItem(undefined);
+	} else {
+		itemSlot.amount--;
+	}
+
+	recordUsedItems(itemId, 1);
+
+	return true;
+}
+
+/**
+ * Processes the blocks of a sweep. Sweeps with more blocks than the per tick budget are spread across ticks,
+ * as a wave moving outward from the player one ring at a time. Once the sweep is done, a sweep event is sent describing what it did.
+ *
+ * @param {Player} player - The player sweeping.
+ * @param {Block[]} blocks - The blocks of the sweep, sorted from the closest to the furthest.
+ * @param {"harvest" | "destroy" | "sow"} sweepType - Whether the sweep came from using the scythe, hitting a block with it, or sneak-using it to till and sow.
+ * @param {(block: Block) => string | undefined} processBlock - Processes a block and returns the category of what was done to it, or undefined if nothing was.
+ * @returns {Promise<number>} Resolves with the number of processed blocks once the whole sweep is done.
+ */
+function runSweep(player, blocks, sweepType, processBlock) {
+	const blocksPerTick = getWorldConfig().sweepBlocksPerTick;
+	const scythe = getHeldItem(player);
+
+	/** @type {SweepEvent} */
+	const sweepEvent = {
+		type: sweepType,
+		playerId: player.id,
+		playerName: player.name,
+		scytheId: scythe ? scythe.typeId : undefined,
+		dimensionId: player.dimension.id,
+		processedBlockCount: 0,
+		blocks: {},
+		givenDrops: {},
+		spawnedDrops: {}
+	};
+
+	// Let other scripts cancel the sweep, or single blocks of it, like ones inside a land claim.
+	const cancelledBlockKeys = new Set();
+
+	/** @type {BeforeSweepEvent} */
+	const beforeSweepEvent = {
+		type: sweepType,
+		player,
+		scytheId: sweepEvent.scytheId,
+		blocks,
+		cancel: false,
+		cancelBlock: (block) => cancelledBlockKeys.add(getBlockKey(block))
+	};
+
+	emitScytheEvent("beforeSweep", beforeSweepEvent);
+
+	if (beforeSweepEvent.cancel) {
+		return Promise.resolve(0);
+	}
+
+	const canSweepBlock = getSweepProtection(player, scythe);
+	const undoEntry = createUndoEntry(player);
+	const center = floorVector(player.location);
+
+	let blockIndex = 0;
+	let currentRing = -1;
+
+	// Processes the next batch of blocks. Returns true once the sweep is done.
+	const processNextBatch = (showWave) => {
+		// If the player left, the rest of the sweep is dropped.
+		if (!player.isValid()) {
+			return true;
+		}
+
+		const batchEnd = Math.min(blockIndex + blocksPerTick, blocks.length);
+
+		// Drops given and blocks changed while the batch runs are counted towards this sweep.
+		activeSweepEvent = sweepEvent;
+		setRecordingUndoEntry(undoEntry);
+
+		try {
+			for (; blockIndex < batchEnd; blockIndex++) {
+				const block = blocks[blockIndex];
+				const ring = getSweepRing(block, center);
+
+				if (showWave && ring !== currentRing) {
+					currentRing = ring;
+					showSweepWave(player, blocks, blockIndex, center);
+				}
+
+				// Skip blocks whose chunk unloaded since the sweep started, and blocks the sweep may not touch.
+				if (!block.isValid() || cancelledBlockKeys.has(getBlockKey(block)) || !canSweepBlock(block)) {
+					continue;
+				}
+
+				const category = processBlock(block);
+
+				if (category) {
+					sweepEvent.processedBlockCount++;
+					sweepEvent.blocks[category] = (sweepEvent.blocks[category] ?? 0) + 1;
+				}
+			}
+		} finally {
+			activeSweepEvent = undefined;
+			setRecordingUndoEntry(undefined);
+		}
+
+		return blockIndex >= blocks.length;
+	};
+
+	// Sends the sweep event if anything was done, saves the sweep so it can be undone, and resolves with the number of processed blocks.
+	const finishSweep = (resolve) => {
+		if (sweepEvent.processedBlockCount > 0) {
+			emitScytheEvent("sweep", sweepEvent);
+		}
+
+		if (player.isValid()) {
+			saveUndoEntry(player, undoEntry, sweepEvent.givenDrops, sweepEvent.spawnedDrops);
+		}
+
+		resolve(sweepEvent.processedBlockCount);
+	};
+
+	return new Promise((resolve) => {
+		// Small sweeps are done right away.
+		if (blocks.length <= blocksPerTick) {
+			processNextBatch(false);
+			finishSweep(resolve);
+			return;
+		}
+
+		if (processNextBatch(true)) {
+			finishSweep(resolve);
+			return;
+		}
+
+		const runId = system.runInterval(() => {
+			if (processNextBatch(true)) {
+				system.clearRun(runId);
+				finishSweep(resolve);
+			}
+		}, 1);
+	});
+}
+
+/**
+ * Gets a key that identifies the location of a block within its dimension.
+ * @param {Block} block
+ * @returns {string}
+ */
+function getBlockKey(block) {
+	return `${block.location.x},${block.location.y},${block.location.z}`;
+}
+
+/**
+ * Gets the ring of a sweep a block is in, which is its horizontal distance from the center of the sweep rounded to the nearest block.
+ * @param {Block} block
+ * @param {Vector3} center - The block the player was standing in when the sweep started.
+ * @returns {number}
+ */
+function getSweepRing(block, center) {
+	return Math.round(Math.sqrt((block.location.x - center.x) ** 2 + (block.location.z - center.z) ** 2));
+}
+
+/**
+ * Shows the wave of a sweep reaching a new ring, with particles along the ground of the ring and a whoosh that rises in pitch as it moves outward.
+ * @param {Player} player
+ * @param {Block[]} blocks - The blocks of the sweep, sorted from the closest to the furthest.
+ * @param {number} ringStartIndex - The index of the first block of the ring.
+ * @param {Vector3} center - The block the player was standing in when the sweep started.
+ */
+function showSweepWave(player, blocks, ringStartIndex, center) {
+	const ring = getSweepRing(blocks[ringStartIndex], center);
+
+	for (let index = ringStartIndex; index < blocks.length && getSweepRing(blocks[index], center) === ring; index++) {
+		const block = blocks[index];
+
+		if (block.location.y === center.y && block.isValid()) {
+			block.dimension.spawnParticle("minecraft:basic_crit_particle", block.center());
 		}
 	}
 
-	return processedBlockCount;
+	playScytheSound(player, "scythe.whoosh", { pitch: Math.min(1 + ring * 0.05, 2), volume: 0.3 });
 }
 
 /**
- * Retrieves blocks in a narrow, sweeping arc directly in front of the player, including blocks one level above.
+ * @typedef {Object} SweepShape
+ * @property {(angle: number, arcRange: number) => number} getEdgeDistance - Gets how far the sweep reaches in the direction of the given angle, in radians.
+ * @property {(offsetX: number, offsetZ: number, arcRange: number) => boolean} containsCell - Determines if the block at the given offset from the player is within reach.
+ */
+
+/**
+ * The shapes a sweep can have, chosen with the shape tag of a scythe.
+ * @type {Object<string, SweepShape>}
+ */
+const sweepShapes = {
+	// A slice of a circle around the player.
+	arc: {
+		getEdgeDistance: (angle, arcRange) => arcRange,
+		containsCell: (offsetX, offsetZ, arcRange) => Math.sqrt(offsetX ** 2 + offsetZ ** 2) <= arcRange + Math.SQRT1_2
+	},
+	// A slice of a square around the player, reaching further towards the corners.
+	square: {
+		getEdgeDistance: (angle, arcRange) => arcRange / Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle))),
+		containsCell: (offsetX, offsetZ, arcRange) => Math.max(Math.abs(offsetX), Math.abs(offsetZ)) <= arcRange
+	}
+};
+
+/**
+ * Gets a sweep shape by name. Unknown names fall back to an arc.
+ * @param {string} shape
+ * @returns {SweepShape}
+ */
+function getSweepShape(shape) {
+	return sweepShapes[shape] ?? sweepShapes.arc;
+}
+
+/**
+ * Outlines the area a sweep would cover with particles, so the player can see what their scythe will reach.
  *
  * @param {Player} player - The player whose location is the center of the arc.
  * @param {number} arcWidth - The angular width (in degrees) of the arc centered on the player's view direction.
  * @param {number} arcRange - The maximum distance (radius) of the arc from the player.
- * @returns {Block[]} An array of blocks within the specified sweeping arc on both levels.
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
  */
-export function getBlocksInSweep(player, arcWidth, arcRange) {
+export function showSweepPreview(player, arcWidth, arcRange, shape = "arc") {
+	const sweepShape = getSweepShape(shape);
 	const playerLocation = player.location;
-	const playerDimension = player.dimension;
+	const viewDirection = player.getViewDirection();
 
-	// Extract player's coordinates
-	const centerX = Math.floor(playerLocation.x);
-	const centerY = Math.floor(playerLocation.y);
-	const centerZ = Math.floor(playerLocation.z);
+	// Work with the angle of the view direction on the X-Z plane (ignore Y component)
+	const viewAngle = Math.atan2(viewDirection.z, viewDirection.x);
+	const halfArcRadians = (Math.min(arcWidth, 360) / 2) * (Math.PI / 180);
+
+	// Place the particles just above the ground the player is standing on
+	const particleY = Math.floor(playerLocation.y) + 0.1;
 
+	const getPointAt = (angle, distance) => new Vector3(playerLocation.x + Math.cos(angle) * distance, particleY, playerLocation.z + Math.sin(angle) * distance);
+	const getEdgePointAt = (angle) => getPointAt(angle, sweepShape.getEdgeDistance(angle, arcRange));
+
+	const points = [];
+
+	// Points along the outer edge of the arc, roughly one block apart
+	const edgeSteps = Math.max(1, Math.ceil(2 * halfArcRadians * arcRange));
+
+	for (let step = 0; step <= edgeSteps; step++) {
+		const angle = viewAngle - halfArcRadians + (2 * halfArcRadians * step) / edgeSteps;
+
+		points.push(getEdgePointAt(angle));
+	}
+
+	// Points along both straight edges, unless the arc is a full circle
+	if (arcWidth < 360) {
+		for (const angle of [viewAngle - halfArcRadians, viewAngle + halfArcRadians]) {
+			const edgeDistance = sweepShape.getEdgeDistance(angle, arcRange);
+
+			for (let distance = 1; distance < edgeDistance; distance++) {
+				points.push(getPointAt(angle, distance));
+			}
+		}
+	}
+
+	points.forEach((point) => {
+		player.dimension.spawnParticle("minecraft:villager_happy", point);
+	});
+}
+
+/**
+ * @typedef {Object} SweepCell
+ * @property {number} offsetX - The X offset of the cell from the block the player stands in.
+ * @property {number} offsetZ - The Z offset of the cell from the block the player stands in.
+ * @property {number} distance - The horizontal distance of the cell from the block the player stands in.
+ */
+
+/**
+ * Gets the direction the player is facing on the X-Z plane, as a normalized vector.
+ * @param {Player} player
+ * @returns {{x: number, z: number}}
+ */
+function getHorizontalViewDirection(player) {
 	const viewDirection = player.getViewDirection(); // Normalized Vector3 {x, y, z}
 
 	// Extract only the X-Z direction from the view direction (ignore Y component)
-	const horizontalViewDirection = {
-		x: viewDirection.x,
-		z: viewDirection.z
-	};
+	const horizontalMagnitude = Math.sqrt(viewDirection.x ** 2 + viewDirection.z ** 2);
 
-	// Normalize the horizontal view direction
-	const horizontalMagnitude = Math.sqrt(horizontalViewDirection.x ** 2 + horizontalViewDirection.z ** 2);
-	horizontalViewDirection.x /= horizontalMagnitude;
-	horizontalViewDirection.z /= horizontalMagnitude;
+	// Looking straight up or down leaves no horizontal direction, so fall back to the way the player's body is turned.
+	if (horizontalMagnitude < 0.0001) {
+		const yawRadians = player.getRotation().y * (Math.PI / 180);
 
-	// Calculate the cosine of half the arc width (used for dot product check)
-	const halfArcWidthCos = Math.cos((arcWidth / 2) * (Math.PI / 180)); // Convert to radians
+		return { x: -Math.sin(yawRadians), z: Math.cos(yawRadians) };
+	}
 
-	const blocks = [];
+	return { x: viewDirection.x / horizontalMagnitude, z: viewDirection.z / horizontalMagnitude };
+}
 
-	// Focus only on blocks close to the player (1 to arcRange distance)
-	for (let distance = 1; distance <= arcRange; distance++) {
-		for (let angle = -arcWidth / 2; angle <= arcWidth / 2; angle += 1) {
-			// Calculate the direction vector for this angle
-			const angleRadians = angle * (Math.PI / 180);
-			const sweepVector = {
-				x: horizontalViewDirection.x * Math.cos(angleRadians) - horizontalViewDirection.z * Math.sin(angleRadians),
-				z: horizontalViewDirection.x * Math.sin(angleRadians) + horizontalViewDirection.z * Math.cos(angleRadians)
-			};
-
-			// Scale the vector by the distance
-			const targetX = centerX + Math.round(sweepVector.x * distance);
-			const targetZ = centerZ + Math.round(sweepVector.z * distance);
-
-			// Add the block at this position (current level)
-			const currentLevelBlockLocation = { x: targetX, y: centerY, z: targetZ };
-			const currentLevelBlock = getBlock(currentLevelBlockLocation, playerDimension);
-
-			// Add the block one level up
-			const upperLevelBlockLocation = { x: targetX, y: centerY + 1, z: targetZ };
-			const upperLevelBlock = getBlock(upperLevelBlockLocation, playerDimension);
-
-			// Add blocks to the list, avoiding duplicates
-			const isCurrentDuplicate = blocks.some((b) => b.x === currentLevelBlockLocation.x && b.y === currentLevelBlockLocation.y && b.z === currentLevelBlockLocation.z);
-			const isUpperDuplicate = blocks.some((b) => b.x === upperLevelBlockLocation.x && b.y === upperLevelBlockLocation.y && b.z === upperLevelBlockLocation.z);
-
-			if (!isCurrentDuplicate) blocks.push(currentLevelBlock);
-			if (!isUpperDuplicate) blocks.push(upperLevelBlock);
-		}
+/**
+ * Determines if a point, relative to the player, is within the arc in front of them.
+ * @param {number} offsetX
+ * @param {number} offsetZ
+ * @param {{x: number, z: number}} horizontalViewDirection - The normalized direction the player is facing on the X-Z plane.
+ * @param {number} arcWidth - The angular width (in degrees) of the arc.
+ * @param {number} [toleranceRadius=0] - How wide the point is. Anything this wide that is partly inside the arc counts.
+ */
+function isOffsetInArc(offsetX, offsetZ, horizontalViewDirection, arcWidth, toleranceRadius = 0) {
+	if (arcWidth >= 360) {
+		return true;
 	}
 
-	blocks.push(getBlock(addVectors(player.location, new Vector3(0, 1, 0)), player.dimension));
+	const distance = Math.sqrt(offsetX ** 2 + offsetZ ** 2);
 
-	return blocks;
+	// The point the player is standing on is always in the arc.
+	if (distance <= toleranceRadius) {
+		return true;
+	}
+
+	// Angle between the view direction and the point, widened by how much of the arc the point covers.
+	const cosAngle = (offsetX * horizontalViewDirection.x + offsetZ * horizontalViewDirection.z) / distance;
+	const angle = Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+	const tolerance = Math.atan(toleranceRadius / distance);
+
+	return angle <= (arcWidth / 2) * (Math.PI / 180) + tolerance;
 }
 
 /**
- * Retrieves entities in a narrow, sweeping arc directly in front of the player,
- * excluding the player themselves. This version only checks the player’s current level.
+ * Gets every block column in a sweeping arc in front of the player, each one once, sorted from the closest to the furthest.
  *
  * @param {Player} player - The player whose location is the center of the arc.
  * @param {number} arcWidth - The angular width (in degrees) of the arc centered on the player's view direction.
  * @param {number} arcRange - The maximum distance (radius) of the arc from the player.
- * @returns {Entity[]} An array of unique entities within the specified sweeping arc on the player's current level.
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
+ * @returns {SweepCell[]}
  */
-export function getEntitiesInSweep(player, arcWidth, arcRange) {
-	const playerLocation = player.location;
-	const playerDimension = player.dimension;
+export function getCellsInSweep(player, arcWidth, arcRange, shape = "arc") {
+	const sweepShape = getSweepShape(shape);
+	const horizontalViewDirection = getHorizontalViewDirection(player);
 
-	// Extract player's coordinates
-	const centerX = Math.floor(playerLocation.x);
-	const centerY = Math.floor(playerLocation.y);
-	const centerZ = Math.floor(playerLocation.z);
+	// The furthest any part of the shape reaches, like the corners of a square
+	const maxDistance = Math.ceil(sweepShape.getEdgeDistance(Math.PI / 4, arcRange));
 
-	const viewDirection = player.getViewDirection(); // Normalized Vector3 { x, y, z }
+	const cells = [];
 
-	// Extract only the X-Z direction from the view direction (ignore Y component)
-	const horizontalViewDirection = {
-		x: viewDirection.x,
-		z: viewDirection.z
-	};
+	// Check every column in the square around the player once, instead of marching along rays.
+	for (let offsetX = -maxDistance; offsetX <= maxDistance; offsetX++) {
+		for (let offsetZ = -maxDistance; offsetZ <= maxDistance; offsetZ++) {
+			if (!sweepShape.containsCell(offsetX, offsetZ, arcRange)) {
+				continue;
+			}
 
-	// Normalize the horizontal view direction
-	const horizontalMagnitude = Math.sqrt(horizontalViewDirection.x ** 2 + horizontalViewDirection.z ** 2);
-	horizontalViewDirection.x /= horizontalMagnitude;
-	horizontalViewDirection.z /= horizontalMagnitude;
+			// A block is half a block wide, so blocks partly inside the arc are included.
+			if (!isOffsetInArc(offsetX, offsetZ, horizontalViewDirection, arcWidth, 0.5)) {
+				continue;
+			}
 
-	const foundEntities = new Set();
+			cells.push({ offsetX, offsetZ, distance: Math.sqrt(offsetX ** 2 + offsetZ ** 2) });
+		}
+	}
 
-	for (let distance = 1; distance <= arcRange; distance++) {
-		for (let angle = -arcWidth / 2; angle <= arcWidth / 2; angle += 1) {
-			const angleRadians = angle * (Math.PI / 180);
-			const sweepVector = {
-				x: horizontalViewDirection.x * Math.cos(angleRadians) - horizontalViewDirection.z * Math.sin(angleRadians),
-				z: horizontalViewDirection.x * Math.sin(angleRadians) + horizontalViewDirection.z * Math.cos(angleRadians)
-			};
+	return cells.sort((cellA, cellB) => cellA.distance - cellB.distance);
+}
 
-			const targetX = centerX + Math.round(sweepVector.x * distance);
-			const targetZ = centerZ + Math.round(sweepVector.z * distance);
+/**
+ * Retrieves blocks in a narrow, sweeping arc directly in front of the player, on every level between the given offsets from the player's feet.
+ * Every block is fetched once, and they are sorted from the closest to the furthest.
+ *
+ * @param {Player} player - The player whose location is the center of the arc.
+ * @param {number} arcWidth - The angular width (in degrees) of the arc centered on the player's view direction.
+ * @param {number} arcRange - The maximum distance (radius) of the arc from the player.
+ * @param {number} [minYOffset=0] - The lowest level to search, relative to the player's feet. Defaults to the level the player stands on.
+ * @param {number} [maxYOffset=1] - The highest level to search, relative to the player's feet. Defaults to one level above.
+ * @param {string} [shape="arc"] - The shape of the sweep, like "arc" or "square".
+ * @returns {Block[]} An array of blocks within the specified sweeping arc on every level.
+ */
+export function getBlocksInSweep(player, arcWidth, arcRange, minYOffset = 0, maxYOffset = 1, shape = "arc") {
+	const playerDimension = player.dimension;
 
-			// Current level block
-			const currentLevelLocation = { x: targetX, y: centerY, z: targetZ };
-			const entitiesAtCurrent = playerDimension.getEntitiesAtBlockLocation(currentLevelLocation);
+	// Extract player's coordinates
+	const center = floorVector(player.location);
 
-			for (const entity of entitiesAtCurrent) {
-				// Exclude the player
-				if (entity.id !== player.id) {
-					foundEntities.add(entity);
-				}
+	const blocks = [];
+
+	for (const cell of getCellsInSweep(player, arcWidth, arcRange, shape)) {
+		for (let yOffset = minYOffset; yOffset <= maxYOffset; yOffset++) {
+			const block = getBlock(new Vector3(center.x + cell.offsetX, center.y + yOffset, center.z + cell.offsetZ), playerDimension);
+
+			// Blocks outside the world or in unloaded chunks can't be harvested.
+			if (block) {
+				blocks.push(block);
 			}
 		}
 	}
 
-	return Array.from(foundEntities);
+	return blocks;
+}
+
+/**
+ * Retrieves entities in a narrow, sweeping arc directly in front of the player,
+ * excluding the player themselves. Only entities within a block above or below the player are included.
+ *
+ * @param {Player} player - The player whose location is the center of the arc.
+ * @param {number} arcWidth - The angular width (in degrees) of the arc centered on the player's view direction.
+ * @param {number} arcRange - The maximum distance (radius) of the arc from the player.
+ * @returns {Entity[]} An array of unique entities within the specified sweeping arc on the player's current level.
+ */
+export function getEntitiesInSweep(player, arcWidth, arcRange) {
+	const playerLocation = player.location;
+	const horizontalViewDirection = getHorizontalViewDirection(player);
+
+	// Get every entity that could be in reach with one query, then keep the ones inside the arc.
+	const nearbyEntities = player.dimension.getEntities({ location: playerLocation, maxDistance: arcRange + 1.5 });
+
+	return nearbyEntities.filter((entity) => {
+		// Exclude the player
+		if (entity.id === player.id) {
+			return false;
+		}
+
+		const offsetX = entity.location.x - playerLocation.x;
+		const offsetZ = entity.location.z - playerLocation.z;
+
+		if (Math.abs(entity.location.y - playerLocation.y) > 1) {
+			return false;
+		}
+
+		if (Math.sqrt(offsetX ** 2 + offsetZ ** 2) > arcRange + 0.5) {
+			return false;
+		}
+
+		return isOffsetInArc(offsetX, offsetZ, horizontalViewDirection, arcWidth, 0.5);
+	});
 }
 
 /**
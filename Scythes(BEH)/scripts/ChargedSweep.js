@@ -0,0 +1,106 @@
+import { ItemStack, Player, system } from "@minecraft/server";
+import { getHeldItem } from "./InventoryLibrary(1.1.2)";
+import { getScytheArc, getScytheChargedArc, getScytheChargedReach, getScytheChargeTicks, getScytheReach } from "./ItemUtils";
+import { sweepWithScythe } from "./item_behaviors/OnUseOnScytheHarvest";
+
+/**
+ * @typedef {Object} SweepCharge
+ * @property {number} startTick - The tick the player started holding use.
+ * @property {string} scytheId - The id of the scythe being charged.
+ */
+
+/**
+ * @typedef {Object} ChargedSweepSize
+ * @property {number} progress - How far the charge is, from 0 to 1.
+ * @property {number} reach - The reach of the sweep at this charge.
+ * @property {number} arc - The arc width of the sweep, in degrees, at this charge.
+ */
+
+/**
+ * Charges shorter than this many ticks count as a tap. A tap still sweeps once, at the scythe's normal size, but shows no charge bar.
+ */
+const minChargeTicks = 5;
+
+/**
+ * The sweeps players are charging, keyed by player id.
+ * @type {Map<string, SweepCharge>}
+ */
+const sweepCharges = new Map();
+
+/**
+ * Starts charging a sweep for a player holding use with a scythe.
+ * @param {Player} player
+ * @param {ItemStack} scythe
+ */
+export function startSweepCharge(player, scythe) {
+	sweepCharges.set(player.id, { startTick: system.currentTick, scytheId: scythe.typeId });
+}
+
+/**
+ * Releases a charged sweep, harvesting with the reach and arc the player charged up to. This is the only sweep a chargeable scythe makes per use.
+ * Bigger sweeps cost one extra durability for every block of reach gained.
+ * @param {Player} player
+ * @param {ItemStack} scythe
+ */
+export function releaseSweepCharge(player, scythe) {
+	const charge = sweepCharges.get(player.id);
+
+	sweepCharges.delete(player.id);
+
+	// The player may have swapped to a different scythe while charging.
+	if (!charge || charge.scytheId !== scythe.typeId) {
+		return;
+	}
+
+	// Taps sweep at the normal size.
+	const chargedTicks = system.currentTick - charge.startTick;
+	const size = getChargedSweepSize(scythe, chargedTicks < minChargeTicks ? 0 : chargedTicks);
+
+	player.onScreenDisplay.setActionBar("");
+	sweepWithScythe(player, scythe, size.reach, size.arc, size.reach - getScytheReach(scythe));
+}
+
+/**
+ * Gets the size of a sweep after charging for the given number of ticks.
+ * @param {ItemStack} scythe
+ * @param {number} chargedTicks
+ * @returns {ChargedSweepSize}
+ */
+export function getChargedSweepSize(scythe, chargedTicks) {
+	const progress = Math.min(chargedTicks / getScytheChargeTicks(scythe), 1);
+	const reach = getScytheReach(scythe);
+	const arc = getScytheArc(scythe);
+
+	return {
+		progress,
+		reach: Math.round(reach + (getScytheChargedReach(scythe) - reach) * progress),
+		arc: Math.round(arc + (getScytheChargedArc(scythe) - arc) * progress)
+	};
+}
+
+/**
+ * Shows every charging player how big their sweep has grown on the action bar. Charges of players who left or stopped holding the scythe are dropped.
+ * @param {Player[]} players - Every player in the world.
+ */
+export function updateSweepCharges(players) {
+	for (const [playerId, charge] of sweepCharges) {
+		const player = players.find((player) => player.id === playerId);
+		const heldItem = player ? getHeldItem(player) : undefined;
+
+		if (!heldItem || heldItem.typeId !== charge.scytheId) {
+			sweepCharges.delete(playerId);
+			continue;
+		}
+
+		const chargedTicks = system.currentTick - charge.startTick;
+
+		if (chargedTicks < minChargeTicks) {
+			continue;
+		}
+
+		const size = getChargedSweepSize(heldItem, chargedTicks);
+		const filledBars = Math.round(size.progress * 10);
+
+		player.onScreenDisplay.setActionBar(`§a${"|".repeat(filledBars)}§7${"|".repeat(10 - filledBars)}§r Reach ${size.reach}, arc ${size.arc}°`);
+	}
+}
@@ -0,0 +1,213 @@
+import { getRandom, getRandomInt, rollChance } from "./Random";
+
+/**
+ * @typedef {Object} LootFunction
+ * @property {"set_count" | "apply_bonus"} function - The name of the function.
+ * @property {number | { min: number, max: number }} [count] - For set_count, the number of items, or the range it is rolled from.
+ * @property {"binomial_with_bonus_count" | "uniform_bonus_count"} [formula] - For apply_bonus, how Fortune adds to the count.
+ * @property {{ extra?: number, probability?: number, bonusMultiplier?: number }} [parameters] - For apply_bonus, the numbers the formula uses.
+ */
+
+/**
+ * @typedef {Object} LootEntry
+ * @property {"item" | "empty"} type - Whether the entry drops an item, or nothing.
+ * @property {string} [name] - The id of the item dropped.
+ * @property {number} [weight] - How likely the entry is to be picked over the other entries of its pool. Defaults to 1.
+ * @property {LootFunction[]} [functions] - Changes made to the dropped count, in order.
+ */
+
+/**
+ * @typedef {Object} LootPool
+ * @property {number} rolls - How many entries are picked from the pool.
+ * @property {{ condition: "random_chance", chance: number }[]} [conditions] - Chances that have to pass for the pool to drop anything.
+ * @property {LootEntry[]} entries
+ */
+
+/**
+ * @typedef {Object} LootTable
+ * @property {LootPool[]} pools
+ */
+
+/**
+ * What each crop drops when harvested ripe, keyed by crop block id. The tables are written like the pack's loot tables in loot_tables/blocks,
+ * but are kept here, as scripts can't read files from the pack. The counts follow vanilla Bedrock, including Fortune.
+ * Crops from other packs can be given a table by adding an entry here, or by calling registerCropLootTable. Crops without one drop what their registry entry lists.
+ * @type {Object<string, LootTable>}
+ */
+export const cropLootTables = {
+	"minecraft:wheat": {
+		pools: [
+			{ rolls: 1, entries: [{ type: "item", name: "minecraft:wheat" }] },
+			{ rolls: 1, entries: [{ type: "item", name: "minecraft:wheat_seeds", functions: [{ function: "set_count", count: 0 }, getSeedFortuneBonus()] }] }
+		]
+	},
+	"minecraft:carrots": {
+		pools: [{ rolls: 1, entries: [{ type: "item", name: "minecraft:carrot", functions: [getSeedFortuneBonus()] }] }]
+	},
+	"minecraft:potatoes": {
+		pools: [
+			{ rolls: 1, entries: [{ type: "item", name: "minecraft:potato", functions: [getSeedFortuneBonus()] }] },
+			{ rolls: 1, conditions: [{ condition: "random_chance", chance: 0.02 }], entries: [{ type: "item", name: "minecraft:poisonous_potato" }] }
+		]
+	},
+	"minecraft:beetroot": {
+		pools: [
+			{ rolls: 1, entries: [{ type: "item", name: "minecraft:beetroot" }] },
+			{ rolls: 1, entries: [{ type: "item", name: "minecraft:beetroot_seeds", functions: [{ function: "set_count", count: 0 }, getSeedFortuneBonus()] }] }
+		]
+	},
+	"minecraft:nether_wart": {
+		pools: [
+			{
+				rolls: 1,
+				entries: [
+					{
+						type: "item",
+						name: "minecraft:nether_wart",
+						functions: [
+							{ function: "set_count", count: { min: 2, max: 4 } },
+							{ function: "apply_bonus", formula: "uniform_bonus_count", parameters: { bonusMultiplier: 1 } }
+						]
+					}
+				]
+			}
+		]
+	},
+	"minecraft:cocoa": {
+		pools: [{ rolls: 1, entries: [{ type: "item", name: "minecraft:cocoa_beans", functions: [{ function: "set_count", count: { min: 2, max: 3 } }] }] }]
+	},
+	"minecraft:torchflower": {
+		pools: [{ rolls: 1, entries: [{ type: "item", name: "minecraft:torchflower" }] }]
+	},
+	"minecraft:pitcher_crop": {
+		pools: [{ rolls: 1, entries: [{ type: "item", name: "minecraft:pitcher_plant" }] }]
+	}
+};
+
+/**
+ * The Fortune bonus of seeds, carrots and potatoes: three extra tries, plus one per level, that each add an item 4 in 7 times.
+ * @returns {LootFunction}
+ */
+function getSeedFortuneBonus() {
+	return { function: "apply_bonus", formula: "binomial_with_bonus_count", parameters: { extra: 3, probability: 0.5714286 } };
+}
+
+/**
+ * Gives a crop a loot table. If the crop already has one, it is replaced.
+ * @param {string} blockId - The id of the crop block.
+ * @param {LootTable} lootTable
+ */
+export function registerCropLootTable(blockId, lootTable) {
+	cropLootTables[blockId] = lootTable;
+}
+
+/**
+ * Gets the loot table of a crop.
+ * @param {string} blockId
+ * @returns {LootTable | undefined}
+ */
+export function getCropLootTable(blockId) {
+	return cropLootTables[blockId];
+}
+
+/**
+ * Gets the id of every item a loot table can drop, whatever is rolled.
+ * @param {LootTable} lootTable
+ * @returns {string[]}
+ */
+export function getLootTableItemIds(lootTable) {
+	const itemIds = lootTable.pools.flatMap((pool) => pool.entries.filter((entry) => entry.type === "item").map((entry) => entry.name));
+
+	return [...new Set(itemIds)];
+}
+
+/**
+ * Rolls the drops of a loot table.
+ * @param {LootTable} lootTable
+ * @param {number} [fortuneLevel=0] - The Fortune level of the tool used.
+ * @returns {Object<string, number>} The number of each item dropped, keyed by item id. Items that rolled a count of 0 are left out.
+ */
+export function rollLootTable(lootTable, fortuneLevel = 0) {
+	const drops = {};
+
+	for (const pool of lootTable.pools) {
+		if (!(pool.conditions ?? []).every((condition) => rollChance(condition.chance))) {
+			continue;
+		}
+
+		for (let roll = 0; roll < pool.rolls; roll++) {
+			const entry = pickLootEntry(pool.entries);
+
+			if (!entry || entry.type !== "item") {
+				continue;
+			}
+
+			const count = (entry.functions ?? []).reduce((currentCount, lootFunction) => applyLootFunction(lootFunction, currentCount, fortuneLevel), 1);
+
+			if (count > 0) {
+				drops[entry.name] = (drops[entry.name] ?? 0) + count;
+			}
+		}
+	}
+
+	return drops;
+}
+
+/**
+ * Picks one entry of a pool, following the weights of the entries.
+ * @param {LootEntry[]} entries
+ * @returns {LootEntry | undefined}
+ */
+function pickLootEntry(entries) {
+	const totalWeight = entries.reduce((weight, entry) => weight + (entry.weight ?? 1), 0);
+	let pick = getRandom() * totalWeight;
+
+	for (const entry of entries) {
+		pick -= entry.weight ?? 1;
+
+		if (pick < 0) {
+			return entry;
+		}
+	}
+
+	return entries[entries.length - 1];
+}
+
+/**
+ * Applies a loot function to the count of an entry.
+ * @param {LootFunction} lootFunction
+ * @param {number} count - The count before the function.
+ * @param {number} fortuneLevel
+ * @returns {number} The count after the function.
+ */
+function applyLootFunction(lootFunction, count, fortuneLevel) {
+	if (lootFunction.function === "set_count") {
+		const countRange = lootFunction.count;
+
+		return typeof countRange === "number" ? countRange : getRandomInt(countRange.min, countRange.max);
+	}
+
+	if (lootFunction.function === "apply_bonus") {
+		const parameters = lootFunction.parameters;
+
+		if (lootFunction.formula === "binomial_with_bonus_count") {
+			let bonus = 0;
+
+			for (let trial = 0; trial < parameters.extra + fortuneLevel; trial++) {
+				if (rollChance(parameters.probability)) {
+					bonus++;
+				}
+			}
+
+			return count + bonus;
+		}
+
+		if (lootFunction.formula === "uniform_bonus_count") {
+			return count + getRandomInt(0, Math.round(fortuneLevel * parameters.bonusMultiplier));
+		}
+	}
+
+	console.warn(`Unsupported crop loot function: ${lootFunction.function}`);
+
+	return count;
+}
@@ -0,0 +1,292 @@
+/**
+ * @typedef {Object} CropReplant
+ * @property {string} [fakeBlockId] - The id of a fake block that is placed first. It breaks itself on the next tick and places the crop back, giving the usual break particles and sound.
+ * @property {string} [blockId] - The id of the block that is placed when replanting. Defaults to the crop's own block id.
+ * @property {Object<string, boolean | number | string>} states - The block states the replanted crop is given. Any other states the crop already had are kept.
+ */
+
+/**
+ * @typedef {Object} CropDefinition
+ * @property {string} blockId - The id of the crop block.
+ * @property {string} [growthState] - The name of the block state that holds the crop's stage of growth. Crops without one, like a torchflower that has finished growing, are always ripe.
+ * @property {boolean | number | string} [ripeValue] - The value of the growth state once the crop is ready for harvesting.
+ * @property {string[]} drops - The ids of the items the crop drops when harvested. Only used if the crop has no loot table in CropLootTables, which sets both the items and their counts.
+ * @property {number} [dropQuantity] - A fixed number of each item the crop drops, when it has no loot table. If left out, the number is rolled based on the scythe's Fortune level.
+ * @property {string} [seedItemId] - The id of the item used to plant the crop. Replanting takes one out of the drops, or out of the player's inventory if the world's seedreplant option is on.
+ * @property {CropReplant} [replant] - How the crop is replanted after harvesting. If left out, the crop is simply removed.
+ * @property {number[]} [sweepYOffsets] - The lowest and highest offset from the player's feet at which the crop is looked for. Only needed for crops that grow outside the two layers a sweep normally covers.
+ * @property {string[]} [soilBlockIds] - The ids of the blocks the crop must be planted on to count as a crop. Used for plants that also exist as decoration, like flowers.
+ * @property {string} [upperHalfState] - For crops two blocks tall, the name of the block state that is true on the upper half.
+ * @property {number[]} [boneMealGrowth] - The least and most growth stages one bone meal adds to the crop, when a sweep fertilizes it. Crops without it can't be fertilized.
+ * @property {boolean} [sowable] - Whether the crop can be sown on farmland from its seed item by sneak-using a scythe. It is planted the way the replant describes.
+ */
+
+/**
+ * @typedef {Object} GourdDefinition
+ * @property {string} blockId - The id of the gourd block. Only the grown block is listed, never its stem.
+ * @property {string} dropItemId - The id of the item the gourd drops when harvested.
+ * @property {number} minDrops - The least number of items the gourd drops.
+ * @property {number} maxDrops - The most items the gourd drops without Fortune.
+ * @property {number} [maxFortuneDrops] - The most items the gourd drops with Fortune. Gourds without it are not affected by Fortune.
+ */
+
+/**
+ * @typedef {Object} PickStage
+ * @property {boolean | number | string} [minValue] - The lowest value of the plant's growth state at which this stage applies. Left out for plants that have no growth state.
+ * @property {number} minDrops - The least number of items picked at this stage.
+ * @property {number} maxDrops - The most items picked at this stage.
+ */
+
+/**
+ * @typedef {Object} PickableDefinition
+ * @property {string} blockId - The id of the plant block while it is carrying something to pick.
+ * @property {string} [growthState] - The name of the block state that holds the plant's stage of growth.
+ * @property {PickStage[]} stages - The stages at which the plant can be picked, from most to least grown. The first stage that applies is used.
+ * @property {string} dropItemId - The id of the item picked from the plant.
+ * @property {CropReplant} picked - What the plant becomes once it has been picked.
+ * @property {number[]} [sweepYOffsets] - The lowest and highest offset from the player's feet at which the plant is looked for.
+ */
+
+/**
+ * Every crop the scythe knows how to harvest.
+ * Crops from other packs can be supported by adding an entry here, or by calling registerCrop.
+ * @type {CropDefinition[]}
+ */
+export const cropRegistry = [
+	{
+		blockId: "minecraft:wheat",
+		growthState: "growth",
+		ripeValue: 7,
+		drops: ["minecraft:wheat", "minecraft:wheat_seeds"],
+		seedItemId: "minecraft:wheat_seeds",
+		replant: { fakeBlockId: "djc:fake_wheat", states: { growth: 0 } },
+		sowable: true,
+		boneMealGrowth: [2, 5]
+	},
+	{
+		blockId: "minecraft:carrots",
+		growthState: "growth",
+		ripeValue: 7,
+		drops: ["minecraft:carrot"],
+		seedItemId: "minecraft:carrot",
+		replant: { fakeBlockId: "djc:fake_carrots", states: { growth: 0 } },
+		sowable: true,
+		boneMealGrowth: [2, 5]
+	},
+	{
+		blockId: "minecraft:potatoes",
+		growthState: "growth",
+		ripeValue: 7,
+		drops: ["minecraft:potato"],
+		seedItemId: "minecraft:potato",
+		replant: { fakeBlockId: "djc:fake_potatoes", states: { growth: 0 } },
+		sowable: true,
+		boneMealGrowth: [2, 5]
+	},
+	{
+		blockId: "minecraft:beetroot",
+		growthState: "growth",
+		ripeValue: 7,
+		drops: ["minecraft:beetroot", "minecraft:beetroot_seeds"],
+		seedItemId: "minecraft:beetroot_seeds",
+		replant: { fakeBlockId: "djc:fake_beetroots", states: { growth: 0 } },
+		sowable: true,
+		boneMealGrowth: [2, 5]
+	},
+	{
+		// Nether wart has no fake block, so it is set back to age 0 in place, keeping it on its soul sand.
+		blockId: "minecraft:nether_wart",
+		growthState: "age",
+		ripeValue: 3,
+		drops: ["minecraft:nether_wart"],
+		seedItemId: "minecraft:nether_wart",
+		replant: { states: { age: 0 } }
+	},
+	{
+		// Cocoa is replanted in place so the pod keeps its direction state and stays on its log.
+		blockId: "minecraft:cocoa",
+		growthState: "age",
+		ripeValue: 2,
+		drops: ["minecraft:cocoa_beans"],
+		seedItemId: "minecraft:cocoa_beans",
+		replant: { states: { age: 0 } },
+		sweepYOffsets: [-1, 3],
+		boneMealGrowth: [1, 1]
+	},
+	{
+		// A torchflower crop turns into a torchflower once fully grown, so the flower is harvested and a new crop is planted from a seed in the inventory.
+		blockId: "minecraft:torchflower",
+		drops: ["minecraft:torchflower"],
+		dropQuantity: 1,
+		seedItemId: "minecraft:torchflower_seeds",
+		replant: { blockId: "minecraft:torchflower_crop", states: { growth: 0 } },
+		soilBlockIds: ["minecraft:farmland"],
+		sowable: true
+	},
+	{
+		// A pitcher crop stays a two block tall crop once fully grown, and drops a pitcher plant when broken.
+		blockId: "minecraft:pitcher_crop",
+		growthState: "growth",
+		ripeValue: 4,
+		drops: ["minecraft:pitcher_plant"],
+		dropQuantity: 1,
+		seedItemId: "minecraft:pitcher_pod",
+		replant: { states: { growth: 0, upper_block_bit: false } },
+		upperHalfState: "upper_block_bit",
+		sowable: true
+	}
+];
+
+/**
+ * Every gourd the scythe breaks. Gourds grow from a stem that stays behind, so they are never replanted.
+ * @type {GourdDefinition[]}
+ */
+export const gourdRegistry = [
+	{
+		blockId: "minecraft:melon_block",
+		dropItemId: "minecraft:melon_slice",
+		minDrops: 3,
+		maxDrops: 7,
+		maxFortuneDrops: 9
+	},
+	{
+		blockId: "minecraft:pumpkin",
+		dropItemId: "minecraft:pumpkin",
+		minDrops: 1,
+		maxDrops: 1
+	}
+];
+
+/**
+ * Every plant the scythe picks in place, like using it by hand, instead of breaking it.
+ * @type {PickableDefinition[]}
+ */
+export const pickableRegistry = [
+	{
+		blockId: "minecraft:sweet_berry_bush",
+		growthState: "growth",
+		stages: [
+			{ minValue: 3, minDrops: 2, maxDrops: 3 },
+			{ minValue: 2, minDrops: 1, maxDrops: 2 }
+		],
+		dropItemId: "minecraft:sweet_berries",
+		picked: { states: { growth: 1 } }
+	},
+	{
+		blockId: "minecraft:cave_vines_body_with_berries",
+		stages: [{ minDrops: 1, maxDrops: 1 }],
+		dropItemId: "minecraft:glow_berries",
+		picked: { blockId: "minecraft:cave_vines", states: {} },
+		sweepYOffsets: [0, 3]
+	},
+	{
+		blockId: "minecraft:cave_vines_head_with_berries",
+		stages: [{ minDrops: 1, maxDrops: 1 }],
+		dropItemId: "minecraft:glow_berries",
+		picked: { blockId: "minecraft:cave_vines", states: {} },
+		sweepYOffsets: [0, 3]
+	}
+];
+
+/**
+ * The lowest and highest offset from the player's feet a sweep normally covers.
+ */
+export const defaultSweepYOffsets = [0, 1];
+
+/**
+ * Adds a crop to the registry. If a crop with the same block id is already registered, it is replaced.
+ * @param {CropDefinition} definition
+ */
+export function registerCrop(definition) {
+	const index = cropRegistry.findIndex((crop) => crop.blockId === definition.blockId);
+
+	if (index === -1) {
+		cropRegistry.push(definition);
+	} else {
+		cropRegistry[index] = definition;
+	}
+}
+
+/**
+ * Gets the registry entry for the given crop block id.
+ * @param {string} blockId
+ * @returns {CropDefinition | undefined}
+ */
+export function getCropDefinition(blockId) {
+	return cropRegistry.find((crop) => crop.blockId === blockId);
+}
+
+/**
+ * Gets the registry entry for the given gourd block id.
+ * @param {string} blockId
+ * @returns {GourdDefinition | undefined}
+ */
+export function getGourdDefinition(blockId) {
+	return gourdRegistry.find((gourd) => gourd.blockId === blockId);
+}
+
+/**
+ * Gets the registry entry for the given pickable plant block id.
+ * @param {string} blockId
+ * @returns {PickableDefinition | undefined}
+ */
+export function getPickableDefinition(blockId) {
+	return pickableRegistry.find((pickable) => pickable.blockId === blockId);
+}
+
+/**
+ * Gets the registry entry of the crop that is replanted through the given fake block.
+ * @param {string} fakeBlockId
+ * @returns {CropDefinition | undefined}
+ */
+export function getCropDefinitionByFakeBlock(fakeBlockId) {
+	return cropRegistry.find((crop) => crop.replant && crop.replant.fakeBlockId === fakeBlockId);
+}
+
+/**
+ * Gets the lowest and highest offset from the player's feet a sweep has to cover to reach every registered crop and pickable plant.
+ * @returns {number[]}
+ */
+export function getCropSweepYOffsets() {
+	let minYOffset = defaultSweepYOffsets[0];
+	let maxYOffset = defaultSweepYOffsets[1];
+
+	for (const crop of [...cropRegistry, ...pickableRegistry]) {
+		if (!crop.sweepYOffsets) {
+			continue;
+		}
+
+		minYOffset = Math.min(minYOffset, crop.sweepYOffsets[0]);
+		maxYOffset = Math.max(maxYOffset, crop.sweepYOffsets[1]);
+	}
+
+	return [minYOffset, maxYOffset];
+}
+
+/**
+ * Determines if a crop or pickable plant is looked for at the given offset from the player's feet.
+ * @param {CropDefinition | PickableDefinition} definition
+ * @param {number} yOffset
+ */
+export function isCropInSweepYOffset(definition, yOffset) {
+	const [minYOffset, maxYOffset] = definition.sweepYOffsets ?? defaultSweepYOffsets;
+
+	return yOffset >= minYOffset && yOffset <= maxYOffset;
+}
+
+/**
+ * Determines if an item is used to plant any registered crop.
+ * @param {string} itemId
+ */
+export function isCropSeed(itemId) {
+	return cropRegistry.some((crop) => crop.seedItemId === itemId);
+}
+
+/**
+ * Gets the registry entry of the crop that is sown on farmland from the given seed item.
+ * @param {string} seedItemId
+ * @returns {CropDefinition | undefined}
+ */
+export function getSowableCropDefinition(seedItemId) {
+	return cropRegistry.find((crop) => crop.sowable && crop.seedItemId === seedItemId);
+}
@@ -0,0 +1,78 @@
+import { Entity, EntityComponentTypes, Player, world } from "@minecraft/server";
+import { getWorldConfig } from "./WorldConfig";
+import { getPlayerSetting } from "./PlayerSettings";
+
+/**
+ * Entity tags starting with this put an entity on a team. Players never sweep entities on their own team.
+ */
+const teamTagPrefix = "team:";
+
+/**
+ * Determines if the mob sweep of a player must leave an entity alone.
+ * An entity is spared if the world's friendly fire rules spare it, or if the player's own settings do.
+ * @param {Player} player - The player sweeping.
+ * @param {Entity} entity - The entity caught in the sweep.
+ */
+export function isSpareFromSweep(player, entity) {
+	const friendlyFire = getWorldConfig().friendlyFire;
+
+	if (entity instanceof Player) {
+		return !friendlyFire.hitPlayers || !world.gameRules.pvp || (friendlyFire.spareTeam && isOnSameTeam(player, entity));
+	}
+
+	if (friendlyFire.excludedTypes.includes(entity.typeId)) {
+		return true;
+	}
+
+	if (friendlyFire.excludedTags.some((tag) => entity.hasTag(tag))) {
+		return true;
+	}
+
+	const typeFamily = entity.getComponent(EntityComponentTypes.TypeFamily);
+
+	if (typeFamily && friendlyFire.excludedFamilies.some((family) => typeFamily.hasTypeFamily(family))) {
+		return true;
+	}
+
+	if (isTamed(entity) && (isPetOf(entity, player) || friendlyFire.spareTamed || getPlayerSetting(player, "spareTamed"))) {
+		return true;
+	}
+
+	if (entity.nameTag && (friendlyFire.spareNamed || getPlayerSetting(player, "spareNamed"))) {
+		return true;
+	}
+
+	return friendlyFire.spareTeam && isOnSameTeam(player, entity);
+}
+
+/**
+ * Determines if an entity has been tamed.
+ * Most tamed mobs lose their tameable component once tamed, so the is_tamed component is checked too.
+ * @param {Entity} entity
+ */
+function isTamed(entity) {
+	const tameable = entity.getComponent(EntityComponentTypes.Tameable);
+
+	return entity.hasComponent(EntityComponentTypes.IsTamed) || (tameable !== undefined && tameable.isTamed);
+}
+
+/**
+ * Determines if an entity is a pet of the given player.
+ * The owner is only known while the entity still has its tameable component, which most vanilla mobs lose once tamed, so this can't recognize their pets.
+ * @param {Entity} entity
+ * @param {Player} player
+ */
+function isPetOf(entity, player) {
+	const tameable = entity.getComponent(EntityComponentTypes.Tameable);
+
+	return tameable !== undefined && tameable.tamedToPlayerId === player.id;
+}
+
+/**
+ * Determines if two entities share a team tag.
+ * @param {Entity} entityA
+ * @param {Entity} entityB
+ */
+function isOnSameTeam(entityA, entityB) {
+	return entityA.getTags().some((tag) => tag.startsWith(teamTagPrefix) && entityB.hasTag(tag));
+}
@@ -1,4 +1,7 @@
 import { ItemComponentTypes, ItemStack, world } from "@minecraft/server";
+import { isCropSeed } from "./CropRegistry";
+import { getRandomInt, rollChance } from "./Random";
+import { getTierOverride, getWorldConfig } from "./WorldConfig";
 
 /**
  * Spawns the specified number of items at the given block location.
@@ -23,7 +26,7 @@ export function calculateDrops(fortuneLevel = 0) {
 	const clampedFortune = Math.max(0, Math.min(fortuneLevel, 3));
 
 	// Calculate the initial drops based on Fortune level.
-	const initialDrops = Math.floor(Math.random() * (clampedFortune + 1)) + 1;
+	const initialDrops = getRandomInt(1, clampedFortune + 1);
 
 	// Determine the number of binomial trials based on Fortune level.
 	const trials = 3 + clampedFortune; // Each Fortune level adds one trial.
@@ -32,7 +35,7 @@ export function calculateDrops(fortuneLevel = 0) {
 	// Calculate additional drops using a binomial distribution.
 	let additionalDrops = 0;
 	for (let i = 0; i < trials; i++) {
-		if (Math.random() < successProbability) {
+		if (rollChance(successProbability)) {
 			additionalDrops++;
 		}
 	}
@@ -46,14 +49,24 @@ export function calculateDrops(fortuneLevel = 0) {
  * @param {ItemStack} itemStack
  */
 export function getFortuneLevel(itemStack) {
+	return getEnchantmentLevel(itemStack, "fortune");
+}
+
+/**
+ * Gets the level of an enchantment on an item.
+ * @param {ItemStack} itemStack
+ * @param {string} enchantmentId - The id of the enchantment, like "unbreaking".
+ * @returns {number} The level of the enchantment, or 0 if the item doesn't have it.
+ */
+export function getEnchantmentLevel(itemStack, enchantmentId) {
 	const enchantComponent = itemStack.getComponent(ItemComponentTypes.Enchantable);
 
-	// If the item doesn't have the enchantable component, or doesn't have fortune, return 0.
-	if (!enchantComponent || !enchantComponent.hasEnchantment("fortune")) {
+	// If the item doesn't have the enchantable component, or doesn't have the enchantment, return 0.
+	if (!enchantComponent || !enchantComponent.hasEnchantment(enchantmentId)) {
 		return 0;
 	}
 
-	return enchantComponent.getEnchantment("fortune").level;
+	return enchantComponent.getEnchantment(enchantmentId).level;
 }
 
 /**
@@ -78,7 +91,7 @@ export function getDropCount(itemStack) {
  * @param {string} itemId
  */
 export function isItemSeed(itemId) {
-	return ["minecraft:wheat_seeds", "minecraft:beetroot_seeds", "minecraft:carrot", "minecraft:potato"].includes(itemId);
+	return isCropSeed(itemId);
 }
 
 /**
@@ -90,10 +103,136 @@ export function getItemPropertyTag(itemStack, propertyName) {
 	// Get a list of tags on the item.
 	const itemTags = itemStack.getTags();
 
+	// Match the whole property name, so a tag like arc_extra:90 is not read as the arc.
+	const prefix = `${propertyName}:`;
+	const propertyTag = itemTags.find((tag) => tag.startsWith(prefix));
+
 	// If the item doesn't have a tag with the given property name, return undefined.
-	if (!itemTags.some((tag) => tag.startsWith(propertyName))) {
+	if (propertyTag === undefined) {
 		return undefined;
 	}
 
-	return itemTags.find((tag) => tag.startsWith(propertyName)).split(":")[1];
+	return propertyTag.slice(prefix.length);
+}
+
+/**
+ * Reads a whole number from an item's property tag, falling back to a default if the tag is missing or isn't a number.
+ * @param {ItemStack} itemStack
+ * @param {string} propertyName
+ * @param {number} defaultValue
+ * @returns {number}
+ */
+function getItemNumberTag(itemStack, propertyName, defaultValue) {
+	const value = parseInt(getItemPropertyTag(itemStack, propertyName));
+
+	return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Gets the reach of a scythe. An admin override is used if there is one, otherwise the item's reach tag.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheReach(itemStack) {
+	return getTierOverride(itemStack.typeId, "reach") ?? parseInt(getItemPropertyTag(itemStack, "reach"));
+}
+
+/**
+ * Gets the width of a scythe's arc, in degrees. An admin override is used if there is one, otherwise the item's arc tag, or 180 if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheArc(itemStack) {
+	return getTierOverride(itemStack.typeId, "arc") ?? getItemNumberTag(itemStack, "arc", 180);
+}
+
+/**
+ * Gets how many block layers a scythe's sweep covers, starting at the player's feet. Uses the item's height tag, or 2 if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheHeight(itemStack) {
+	return getItemNumberTag(itemStack, "height", 2);
+}
+
+/**
+ * Gets the shape of a scythe's sweep, like "arc" or "square". Uses the item's shape tag, or "arc" if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {string}
+ */
+export function getScytheShape(itemStack) {
+	return getItemPropertyTag(itemStack, "shape") ?? "arc";
+}
+
+/**
+ * Determines if a scythe only harvests the crop it is used on, instead of sweeping. Set with the single_target tag.
+ * @param {ItemStack} itemStack
+ */
+export function isScytheSingleTarget(itemStack) {
+	return itemStack.getTags().includes("single_target");
+}
+
+/**
+ * Determines if hitting a block with a scythe destroys the plants around it. Scythes sweep unless they have the hit_sweep:false tag.
+ * @param {ItemStack} itemStack
+ */
+export function doesScytheHitSweep(itemStack) {
+	return getItemPropertyTag(itemStack, "hit_sweep") !== "false";
+}
+
+/**
+ * Gets the sound profile of a scythe, which decides the sounds it makes when harvesting. Uses the item's sound tag, or "shing" if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {"shing" | "quiet" | string}
+ */
+export function getScytheSoundProfile(itemStack) {
+	return getItemPropertyTag(itemStack, "sound") ?? "shing";
+}
+
+/**
+ * Determines if a scythe can be held to charge a bigger sweep. Set with the charge_reach tag.
+ * @param {ItemStack} itemStack
+ */
+export function isScytheChargeable(itemStack) {
+	return getItemPropertyTag(itemStack, "charge_reach") !== undefined;
+}
+
+/**
+ * Gets the reach of a scythe's sweep once fully charged. Uses the item's charge_reach tag, but never less than its normal reach.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheChargedReach(itemStack) {
+	const reach = getScytheReach(itemStack);
+
+	return Math.max(getItemNumberTag(itemStack, "charge_reach", reach), reach);
+}
+
+/**
+ * Gets the arc width, in degrees, of a scythe's sweep once fully charged. Uses the item's charge_arc tag, or its normal arc if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheChargedArc(itemStack) {
+	const arc = getScytheArc(itemStack);
+
+	return Math.min(Math.max(getItemNumberTag(itemStack, "charge_arc", arc), arc), 360);
+}
+
+/**
+ * Gets how many ticks a scythe has to be held to fully charge. Uses the item's charge_ticks tag, or 40 if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheChargeTicks(itemStack) {
+	return Math.max(getItemNumberTag(itemStack, "charge_ticks", 40), 1);
+}
+
+/**
+ * Gets the durability a scythe loses each swing that processes something. An admin override is used if there is one, otherwise the item's durability_cost tag, or 1 if it has none.
+ * @param {ItemStack} itemStack
+ * @returns {number}
+ */
+export function getScytheDurabilityCost(itemStack) {
+	return getWorldConfig().durabilityCost ?? getItemNumberTag(itemStack, "durability_cost", 1);
 }
@@ -0,0 +1,161 @@
+import { Entity, EntityComponentTypes, ItemStack, Player, system } from "@minecraft/server";
+import { getEntitiesInSweep } from "./BlockUtils";
+import { getEnchantmentLevel, getItemPropertyTag, getScytheReach } from "./ItemUtils";
+import { getRandomFloat } from "./Random";
+import { playScytheSound } from "./PlayerSettings";
+import { isSpareFromSweep } from "./FriendlyFire";
+import { emitScytheEvent } from "./ScytheEvents";
+
+/**
+ * @typedef {Object} DamageEnchantment
+ * @property {string} enchantmentId - The id of the enchantment.
+ * @property {number} damagePerLevel - The extra damage each level of the enchantment deals.
+ * @property {string} [family] - The type family a mob needs to take the extra damage. Left out for enchantments that work on every mob.
+ */
+
+/**
+ * The enchantments that add damage to a hit, with the bonus each level gives in Bedrock.
+ * @type {DamageEnchantment[]}
+ */
+const damageEnchantments = [
+	{ enchantmentId: "sharpness", damagePerLevel: 1.25 },
+	{ enchantmentId: "smite", damagePerLevel: 2.5, family: "undead" },
+	{ enchantmentId: "bane_of_arthropods", damagePerLevel: 2.5, family: "arthropod" }
+];
+
+/**
+ * The tick each player's mob sweep is ready again, keyed by player id.
+ * @type {Map<string, number>}
+ */
+const sweepCooldowns = new Map();
+
+/**
+ * The ids of mobs hurt by a mob sweep this tick. Their hurt events come from the sweeping player too, and must not start another sweep.
+ * @type {Set<string>}
+ */
+const sweptEntityIds = new Set();
+
+/**
+ * Gets how many ticks a scythe's mob sweep takes to be ready again. Uses the item's sweep_cooldown tag, or 12 if it has none, matching the attack cooldown of a sword.
+ * @param {ItemStack} scythe
+ * @returns {number}
+ */
+export function getScytheSweepCooldown(scythe) {
+	const sweepCooldownTag = getItemPropertyTag(scythe, "sweep_cooldown");
+
+	return sweepCooldownTag !== undefined ? parseInt(sweepCooldownTag) : 12;
+}
+
+/**
+ * Gets the damage a scythe's enchantments add to a hit on the given mob.
+ * @param {ItemStack} scythe
+ * @param {Entity} mob
+ * @returns {number}
+ */
+export function getEnchantmentDamageBonus(scythe, mob) {
+	const typeFamily = mob.getComponent(EntityComponentTypes.TypeFamily);
+	let damageBonus = 0;
+
+	for (const damageEnchantment of damageEnchantments) {
+		if (damageEnchantment.family && (!typeFamily || !typeFamily.hasTypeFamily(damageEnchantment.family))) {
+			continue;
+		}
+
+		damageBonus += getEnchantmentLevel(scythe, damageEnchantment.enchantmentId) * damageEnchantment.damagePerLevel;
+	}
+
+	return damageBonus;
+}
+
+/**
+ * Determines if hurting a mob can start a mob sweep. Hits made by a sweep, and hits made while the sweep is cooling down, can't.
+ * @param {Player} player
+ * @param {Entity} hurtEntity
+ */
+export function canMobSweep(player, hurtEntity) {
+	if (sweptEntityIds.has(hurtEntity.id)) {
+		return false;
+	}
+
+	return system.currentTick >= (sweepCooldowns.get(player.id) ?? 0);
+}
+
+/**
+ * Damages the mobs around the one a player hit with a scythe. The scythe's enchantments are carried over to every mob, and each one is knocked back away from the player.
+ * @param {Player} player
+ * @param {ItemStack} scythe
+ * @param {Entity} hurtEntity - The mob the player hit.
+ * @param {number} damage - The damage the hit dealt, including the scythe's enchantments.
+ */
+export function sweepMobs(player, scythe, hurtEntity, damage) {
+	sweepCooldowns.set(player.id, system.currentTick + getScytheSweepCooldown(scythe));
+
+	// Take out what the enchantments added for the hit mob, so the bonus for each swept mob can be worked out on its own.
+	const baseDamage = Math.max(damage - getEnchantmentDamageBonus(scythe, hurtEntity), 0);
+	const fireAspectLevel = getEnchantmentLevel(scythe, "fire_aspect");
+	const knockbackLevel = getEnchantmentLevel(scythe, "knockback");
+
+	// The hit mob already took the full hit, only mobs with health can be hurt, and friendly fire rules spare pets, villagers and the like.
+	const mobs = getEntitiesInSweep(player, 100, getScytheReach(scythe)).filter((mob) => mob.id !== hurtEntity.id && mob.hasComponent(EntityComponentTypes.Health) && !isSpareFromSweep(player, mob));
+
+	/** @type {SweptEntity[]} */
+	const sweptEntities = [];
+
+	for (const mob of mobs) {
+		const sweepDamage = (baseDamage + getEnchantmentDamageBonus(scythe, mob)) * getRandomFloat(0.3, 0.5);
+
+		sweptEntityIds.add(mob.id);
+		sweptEntities.push({ id: mob.id, typeId: mob.typeId, damage: sweepDamage });
+		mob.applyDamage(sweepDamage, { damagingEntity: player, cause: "entityAttack" });
+
+		// The mob may have died from the hit.
+		if (!mob.isValid()) {
+			continue;
+		}
+
+		if (fireAspectLevel > 0) {
+			mob.setOnFire(fireAspectLevel * 4);
+		}
+
+		knockBackFromPlayer(mob, player, knockbackLevel);
+	}
+
+	// The hurt events of the swept mobs have all come through by the next tick.
+	system.runTimeout(() => {
+		sweptEntityIds.clear();
+	}, 1);
+
+	emitScytheEvent("mobSweep", {
+		playerId: player.id,
+		playerName: player.name,
+		scytheId: scythe.typeId,
+		dimensionId: player.dimension.id,
+		hitEntity: { id: hurtEntity.id, typeId: hurtEntity.typeId, damage },
+		entities: sweptEntities
+	});
+
+	playScytheSound(player, `scythe.shing`, { pitch: getRandomFloat(1, 1.4), volume: 0.5 });
+
+	if (mobs.length > 1) {
+		playScytheSound(player, `scythe.slash`, { pitch: getRandomFloat(1, 1.4), volume: 0.5 });
+	}
+}
+
+/**
+ * Knocks a mob back, away from a player. Each level of Knockback pushes it further.
+ * @param {Entity} mob
+ * @param {Player} player
+ * @param {number} knockbackLevel
+ */
+function knockBackFromPlayer(mob, player, knockbackLevel) {
+	const offsetX = mob.location.x - player.location.x;
+	const offsetZ = mob.location.z - player.location.z;
+	const distance = Math.sqrt(offsetX ** 2 + offsetZ ** 2);
+
+	// A mob standing exactly on the player has no direction to be pushed in.
+	if (distance === 0) {
+		return;
+	}
+
+	mob.applyKnockback(offsetX / distance, offsetZ / distance, 0.4 + knockbackLevel * 0.5, 0.35);
+}
@@ -0,0 +1,233 @@
+import { Block, BlockComponentTypes, BlockPermutation, EnchantmentTypes, ItemComponentTypes, ItemStack } from "@minecraft/server";
+
+/**
+ * @typedef {Object} PackedItem
+ * @property {number} slot - The slot of the container the item was in.
+ * @property {string} typeId - The id of the item.
+ * @property {number} amount - How many items were in the stack.
+ * @property {string} [nameTag] - The custom name of the item.
+ * @property {string[]} [lore] - The lore of the item.
+ * @property {number} [damage] - The damage of the item, for items with durability.
+ * @property {{ type: string, level: number }[]} [enchantments] - The enchantments on the item.
+ * @property {Object<string, boolean | number | string>} [dynamicProperties] - The dynamic properties of the item, like the contents of another packed container.
+ */
+
+/**
+ * @typedef {Object} PackedBlock
+ * @property {string} typeId - The id of the container block.
+ * @property {Object<string, boolean | number | string>} states - The block states of the container.
+ */
+
+/**
+ * The id of the item a container turns into when it is picked up.
+ */
+export const packedContainerItemId = "djc:packed_container";
+
+const packedBlockPropertyId = "djc:packed_block";
+const packedContentsPropertyId = "djc:packed_contents";
+
+/**
+ * The longest string a dynamic property can hold.
+ */
+const maxDynamicPropertyLength = 32767;
+
+/**
+ * Items that can't be stacked and carry data scripts can't read or copy, like potion effects, book pages, map ids, bed and banner colors, patterns or dye colors.
+ * Stackable items don't need listing, as a lost data value, like the effect of a tipped arrow, is caught by comparing the copy with the original.
+ */
+const unpackableItemIds = ["minecraft:potion", "minecraft:splash_potion", "minecraft:lingering_potion", "minecraft:suspicious_stew", "minecraft:writable_book", "minecraft:written_book", "minecraft:filled_map", "minecraft:bed", "minecraft:banner", "minecraft:shield", "minecraft:goat_horn", "minecraft:lodestone_compass", "minecraft:crossbow", "minecraft:decorated_pot", "minecraft:leather_helmet", "minecraft:leather_chestplate", "minecraft:leather_leggings", "minecraft:leather_boots", "minecraft:leather_horse_armor", "minecraft:wolf_armor"];
+
+/**
+ * Determines if an item can't be packed, because it holds contents or data of its own that scripts can't read. Shulker boxes and bundles would come out empty.
+ * @param {ItemStack} item
+ */
+function isItemUnpackable(item) {
+	if (item.typeId.endsWith("shulker_box") || item.typeId.endsWith("bundle") || unpackableItemIds.includes(item.typeId)) {
+		return true;
+	}
+
+	// A copy of a stackable item only stacks with the original if nothing was lost, including data values that scripts can't see.
+	return item.maxAmount > 1 && !deserializeItem(serializeItem(item)).isStackableWith(item);
+}
+
+/**
+ * Determines if a block is a container that can be picked up.
+ * Shulker boxes already keep their contents when broken, and double chests are too big to fit in one item.
+ * @param {Block} block
+ */
+export function isBlockPackable(block) {
+	const inventory = block.getComponent(BlockComponentTypes.Inventory);
+
+	if (!inventory || !inventory.container || block.typeId.endsWith("shulker_box")) {
+		return false;
+	}
+
+	return !((block.typeId === "minecraft:chest" || block.typeId === "minecraft:trapped_chest") && inventory.container.size > 27);
+}
+
+/**
+ * Picks up a container, removing it from the world with its contents stored in a packed container item.
+ * @param {Block} block
+ * @returns {ItemStack} The packed container item.
+ * @throws {Error} If the container can't be packed. The message explains why, and the container is left untouched.
+ */
+export function packContainer(block) {
+	if (!isBlockPackable(block)) {
+		throw new Error("This block can't be picked up.");
+	}
+
+	const container = block.getComponent(BlockComponentTypes.Inventory).container;
+
+	/** @type {PackedItem[]} */
+	const contents = [];
+
+	for (let slot = 0; slot < container.size; slot++) {
+		const item = container.getItem(slot);
+
+		if (!item) {
+			continue;
+		}
+
+		if (isItemUnpackable(item)) {
+			throw new Error(`Take out the ${item.typeId.replace("minecraft:", "")} before picking this up, as its contents or data can't be packed.`);
+		}
+
+		contents.push({ slot, ...serializeItem(item) });
+	}
+
+	/** @type {PackedBlock} */
+	const packedBlock = { typeId: block.typeId, states: block.permutation.getAllStates() };
+	const packedContents = JSON.stringify(contents);
+
+	if (packedContents.length > maxDynamicPropertyLength) {
+		throw new Error("This container holds too much to pick up.");
+	}
+
+	const packedItem = new ItemStack(packedContainerItemId);
+	const stackCount = contents.length;
+
+	packedItem.setDynamicProperty(packedBlockPropertyId, JSON.stringify(packedBlock));
+	packedItem.setDynamicProperty(packedContentsPropertyId, packedContents);
+	packedItem.setLore([`§7${block.typeId}`, `§7${stackCount} ${stackCount === 1 ? "stack" : "stacks"}`]);
+
+	// Empty the container first so breaking it doesn't drop anything.
+	container.clearAll();
+	block.setType("minecraft:air");
+
+	return packedItem;
+}
+
+/**
+ * Places a packed container back down, with its contents.
+ * @param {ItemStack} packedItem
+ * @param {Block} block - The block to place the container in. Must be air.
+ * @throws {Error} If the item holds no container, or the block is not free.
+ */
+export function unpackContainer(packedItem, block) {
+	const packedBlockValue = packedItem.getDynamicProperty(packedBlockPropertyId);
+
+	if (packedBlockValue === undefined) {
+		throw new Error("This packed container is empty.");
+	}
+
+	if (!block.isAir) {
+		throw new Error("There is no room to place the container here.");
+	}
+
+	/** @type {PackedBlock} */
+	const packedBlock = JSON.parse(packedBlockValue);
+
+	/** @type {PackedItem[]} */
+	const contents = JSON.parse(packedItem.getDynamicProperty(packedContentsPropertyId) ?? "[]");
+
+	block.setPermutation(BlockPermutation.resolve(packedBlock.typeId, packedBlock.states));
+
+	const container = block.getComponent(BlockComponentTypes.Inventory).container;
+
+	for (const packedContent of contents) {
+		container.setItem(packedContent.slot, deserializeItem(packedContent));
+	}
+}
+
+/**
+ * Stores everything scripts can read about an item in a plain object.
+ * @param {ItemStack} item
+ * @returns {PackedItem}
+ */
+function serializeItem(item) {
+	/** @type {PackedItem} */
+	const packedItem = { typeId: item.typeId, amount: item.amount };
+
+	if (item.nameTag) {
+		packedItem.nameTag = item.nameTag;
+	}
+
+	const lore = item.getLore();
+
+	if (lore.length > 0) {
+		packedItem.lore = lore;
+	}
+
+	const durability = item.getComponent(ItemComponentTypes.Durability);
+
+	if (durability && durability.damage > 0) {
+		packedItem.damage = durability.damage;
+	}
+
+	const enchantable = item.getComponent(ItemComponentTypes.Enchantable);
+
+	if (enchantable) {
+		const enchantments = enchantable.getEnchantments().map((enchantment) => ({ type: enchantment.type.id, level: enchantment.level }));
+
+		if (enchantments.length > 0) {
+			packedItem.enchantments = enchantments;
+		}
+	}
+
+	const dynamicPropertyIds = item.getDynamicPropertyIds();
+
+	if (dynamicPropertyIds.length > 0) {
+		packedItem.dynamicProperties = {};
+
+		for (const propertyId of dynamicPropertyIds) {
+			packedItem.dynamicProperties[propertyId] = item.getDynamicProperty(propertyId);
+		}
+	}
+
+	return packedItem;
+}
+
+/**
+ * Builds an item back from what serializeItem stored.
+ * @param {PackedItem} packedItem
+ * @returns {ItemStack}
+ */
+function deserializeItem(packedItem) {
+	const item = new ItemStack(packedItem.typeId, packedItem.amount);
+
+	if (packedItem.nameTag) {
+		item.nameTag = packedItem.nameTag;
+	}
+
+	if (packedItem.lore) {
+		item.setLore(packedItem.lore);
+	}
+
+	if (packedItem.damage) {
+		item.getComponent(ItemComponentTypes.Durability).damage = packedItem.damage;
+	}
+
+	if (packedItem.enchantments) {
+		const enchantable = item.getComponent(ItemComponentTypes.Enchantable);
+
+		for (const enchantment of packedItem.enchantments) {
+			enchantable.addEnchantment({ type: EnchantmentTypes.get(enchantment.type), level: enchantment.level });
+		}
+	}
+
+	for (const [propertyId, value] of Object.entries(packedItem.dynamicProperties ?? {})) {
+		item.setDynamicProperty(propertyId, value);
+	}
+
+	return item;
+}
@@ -0,0 +1,160 @@
+import { Player } from "@minecraft/server";
+import { ModalFormData } from "@minecraft/server-ui";
+
+/**
+ * @typedef {Object} PlayerSettingDefinition
+ * @property {string} id - The id of the setting.
+ * @property {string} propertyId - The id of the player dynamic property the setting is stored in.
+ * @property {string} label - The text shown next to the setting's toggle in the settings form.
+ * @property {boolean} defaultValue - The value used if the player has never changed the setting.
+ */
+
+/**
+ * Every setting a player can change for their scythes.
+ * @type {PlayerSettingDefinition[]}
+ */
+export const playerSettings = [
+	{
+		id: "autoPickup",
+		propertyId: "djc:auto_pickup",
+		label: "Send drops to inventory",
+		defaultValue: true
+	},
+	{
+		id: "sounds",
+		propertyId: "djc:sounds",
+		label: "Play scythe sounds",
+		defaultValue: true
+	},
+	{
+		id: "replant",
+		propertyId: "djc:replant",
+		label: "Replant harvested crops",
+		defaultValue: true
+	},
+	{
+		id: "cropsOnly",
+		propertyId: "djc:crops_only",
+		label: "Crops only (leave flowers and grass)",
+		defaultValue: false
+	},
+	{
+		id: "fertilize",
+		propertyId: "djc:fertilize",
+		label: "Use bone meal on unripe crops",
+		defaultValue: false
+	},
+	{
+		id: "harvestFertilized",
+		propertyId: "djc:harvest_fertilized",
+		label: "Harvest crops bone meal made ripe",
+		defaultValue: false
+	},
+	{
+		id: "sweepPreview",
+		propertyId: "djc:sweep_preview",
+		label: "Preview sweep while sneaking",
+		defaultValue: false
+	},
+	{
+		id: "spareTamed",
+		propertyId: "djc:spare_tamed",
+		label: "Never hit tamed mobs",
+		defaultValue: false
+	},
+	{
+		id: "spareNamed",
+		propertyId: "djc:spare_named",
+		label: "Never hit named mobs",
+		defaultValue: false
+	},
+	{
+		id: "sneakUndo",
+		propertyId: "djc:sneak_undo",
+		label: "Sneak-use on a block to undo the last sweep, instead of sowing",
+		defaultValue: false
+	}
+];
+
+/**
+ * Gets the value of a setting for the given player. If the player has never changed it, returns its default value.
+ * @param {Player} player
+ * @param {string} settingId
+ * @returns {boolean}
+ */
+export function getPlayerSetting(player, settingId) {
+	const setting = getPlayerSettingDefinition(settingId);
+	const value = player.getDynamicProperty(setting.propertyId);
+
+	return value === undefined ? setting.defaultValue : value;
+}
+
+/**
+ * Sets the value of a setting for the given player.
+ * @param {Player} player
+ * @param {string} settingId
+ * @param {boolean} value
+ */
+export function setPlayerSetting(player, settingId, value) {
+	const setting = getPlayerSettingDefinition(settingId);
+
+	player.setDynamicProperty(setting.propertyId, value);
+}
+
+/**
+ * Gets the definition of a setting.
+ * @param {string} settingId
+ * @returns {PlayerSettingDefinition}
+ * @throws {Error} If there is no setting with the given id.
+ */
+function getPlayerSettingDefinition(settingId) {
+	const setting = playerSettings.find((setting) => setting.id === settingId);
+
+	if (!setting) {
+		throw new Error(`Unknown scythe setting: ${settingId}`);
+	}
+
+	return setting;
+}
+
+/**
+ * Plays a scythe sound to the player, unless they have turned scythe sounds off.
+ * @param {Player} player
+ * @param {string} soundId
+ * @param {PlayerSoundOptions} [soundOptions]
+ */
+export function playScytheSound(player, soundId, soundOptions) {
+	if (!getPlayerSetting(player, "sounds")) {
+		return;
+	}
+
+	player.playSound(soundId, soundOptions);
+}
+
+/**
+ * Shows the player a form with a toggle for every scythe setting, and saves the values they submit.
+ * @param {Player} player
+ */
+export function showScytheSettingsForm(player) {
+	const form = new ModalFormData().title("Scythe Settings");
+
+	for (const setting of playerSettings) {
+		form.toggle(setting.label, getPlayerSetting(player, setting.id));
+	}
+
+	form.show(player)
+		.then((response) => {
+			// If the player closed the form, keep their settings as they were.
+			if (response.canceled) {
+				return;
+			}
+
+			playerSettings.forEach((setting, index) => {
+				setPlayerSetting(player, setting.id, response.formValues[index]);
+			});
+		})
+		.catch((error) => {
+			// The form can fail to show, like when the player leaves first. Their settings are left as they were.
+			console.warn(`Scythe settings form failed: ${error}`);
+		});
+}
@@ -0,0 +1,102 @@
+/**
+ * Returns the next random number, from 0 up to but not including 1. Every roll the pack makes, like drops, damage and sound pitches, comes from here,
+ * so the rolls can be made reproducible with a seed, or replaced in tests.
+ * @type {() => number}
+ */
+let randomSource = Math.random;
+
+/**
+ * Makes every following roll reproducible by deriving it from a seed. Without a seed, rolls go back to Math.random.
+ * @param {number | undefined} seed - A whole number, or undefined to stop seeding.
+ */
+export function setRandomSeed(seed) {
+	randomSource = seed === undefined ? Math.random : createSeededSource(seed);
+}
+
+/**
+ * Replaces where random numbers come from, like with a fixed sequence in tests.
+ * @param {() => number} source - Returns numbers from 0 up to but not including 1.
+ */
+export function setRandomSource(source) {
+	randomSource = source;
+}
+
+/**
+ * Gets a random number from 0 up to but not including 1.
+ * @returns {number}
+ */
+export function getRandom() {
+	return randomSource();
+}
+
+/**
+ * Determines if a roll with the given chance succeeds.
+ * @param {number} chance - The chance of success, from 0 to 1.
+ * @returns {boolean}
+ */
+export function rollChance(chance) {
+	return getRandom() < chance;
+}
+
+/**
+ * Gets a random number between min and max, rounded to one decimal, like for sound pitches.
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function getRandomFloat(min, max) {
+	// Ensure min and max are numbers
+	if (typeof min !== "number" || typeof max !== "number") {
+		throw new Error("Both min and max must be numbers.");
+	}
+
+	// Ensure min is less than or equal to max
+	if (min > max) {
+		throw new Error("Min should not be greater than max.");
+	}
+
+	// Generate a random float between min and max
+	const randomFloat = getRandom() * (max - min) + min;
+
+	// Round to one decimal point
+	return Math.round(randomFloat * 10) / 10;
+}
+
+/**
+ * Gets a random whole number from min to max, both included.
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function getRandomInt(min, max) {
+	// Fractional bounds would quietly round the result, so use getRandomFloat for those.
+	if (!Number.isInteger(min) || !Number.isInteger(max)) {
+		throw new Error("Both min and max must be whole numbers.");
+	}
+
+	if (min > max) {
+		throw new Error("min should be less than or equal to max");
+	}
+
+	return Math.floor(getRandom() * (max - min + 1)) + min;
+}
+
+/**
+ * Creates a random source that always returns the same sequence for the same seed, using the mulberry32 generator.
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function createSeededSource(seed) {
+	let state = seed >>> 0;
+
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+
+		let result = state;
+
+		result = Math.imul(result ^ (result >>> 15), result | 1);
+		result ^= result + Math.imul(result ^ (result >>> 7), result | 61);
+
+		return ((result ^ (result >>> 14)) >>> 0) / 4294967296;
+	};
+}
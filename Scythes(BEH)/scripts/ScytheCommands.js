@@ -0,0 +1,448 @@
+import { Entity, Player, world } from "@minecraft/server";
+import { setRandomSeed } from "./Random";
+import { undoLastSweep } from "./SweepUndo";
+import { getWorldConfig, resetWorldConfig, saveWorldConfig } from "./WorldConfig";
+
+/**
+ * @typedef {Object} ScytheCommand
+ * @property {string} usage - How the command is written, shown when it is used wrong.
+ * @property {(args: string[], source: Entity | undefined) => string} run - Runs the command and returns the message to reply with.
+ */
+
+/**
+ * The id admins send script events to. For example: /scriptevent djc:scythe list
+ */
+export const scytheCommandEventId = "djc:scythe";
+
+/**
+ * The dimensions a protected area can be added to by id, for commands run without an entity to take the dimension from.
+ */
+const dimensionIds = ["minecraft:overworld", "minecraft:nether", "minecraft:the_end"];
+
+/**
+ * Every admin command, keyed by the first word of the script event message.
+ * @type {Object<string, ScytheCommand>}
+ */
+export const scytheCommands = {
+	destructible: {
+		usage: "destructible <add|remove> <block id>",
+		run: (args) => {
+			const [action, blockId] = args;
+
+			if (!blockId || (action !== "add" && action !== "remove")) {
+				throw new Error(`Usage: ${scytheCommands.destructible.usage}`);
+			}
+
+			const config = getWorldConfig();
+
+			// Adding a block undoes an earlier removal of it and the other way around.
+			config.addedDestructables = config.addedDestructables.filter((id) => id !== blockId);
+			config.removedDestructables = config.removedDestructables.filter((id) => id !== blockId);
+
+			if (action === "add") {
+				config.addedDestructables.push(blockId);
+			} else {
+				config.removedDestructables.push(blockId);
+			}
+
+			saveWorldConfig(config);
+
+			return action === "add" ? `${blockId} can now be destroyed with scythes.` : `${blockId} can no longer be destroyed with scythes.`;
+		}
+	},
+	reach: {
+		usage: "reach <scythe id> <blocks|default>",
+		run: (args) => setTierOverride(args, "reach", 1, 64)
+	},
+	arc: {
+		usage: "arc <scythe id> <degrees|default>",
+		run: (args) => setTierOverride(args, "arc", 1, 360)
+	},
+	mobsweep: {
+		usage: "mobsweep <on|off>",
+		run: (args) => {
+			const config = getWorldConfig();
+
+			config.mobSweep = parseToggle(args[0], scytheCommands.mobsweep.usage);
+			saveWorldConfig(config);
+
+			return `Mob sweep is now ${config.mobSweep ? "on" : "off"}.`;
+		}
+	},
+	seedreplant: {
+		usage: "seedreplant <on|off>",
+		run: (args) => {
+			const config = getWorldConfig();
+
+			config.replantFromInventory = parseToggle(args[0], scytheCommands.seedreplant.usage);
+			saveWorldConfig(config);
+
+			return config.replantFromInventory ? "Replanting now uses seeds from the player's inventory." : "Replanting now holds a seed back from the drops.";
+		}
+	},
+	spare: {
+		usage: "spare <type|family|tag> <add|remove> <id> | spare <tamed|named|team|players> <on|off>",
+		run: (args) => {
+			const [rule, ...ruleArgs] = args;
+			const config = getWorldConfig();
+			const friendlyFire = config.friendlyFire;
+			const listNames = { type: "excludedTypes", family: "excludedFamilies", tag: "excludedTags" };
+			const toggleNames = { tamed: "spareTamed", named: "spareNamed", team: "spareTeam" };
+
+			if (listNames[rule]) {
+				const [action, id] = ruleArgs;
+
+				if (!id || (action !== "add" && action !== "remove")) {
+					throw new Error(`Usage: ${scytheCommands.spare.usage}`);
+				}
+
+				const listName = listNames[rule];
+
+				friendlyFire[listName] = friendlyFire[listName].filter((value) => value !== id);
+
+				if (action === "add") {
+					friendlyFire[listName].push(id);
+				}
+
+				saveWorldConfig(config);
+
+				return action === "add" ? `The mob sweep now spares ${rule} ${id}.` : `The mob sweep no longer spares ${rule} ${id}.`;
+			}
+
+			if (toggleNames[rule]) {
+				friendlyFire[toggleNames[rule]] = parseToggle(ruleArgs[0], scytheCommands.spare.usage);
+				saveWorldConfig(config);
+
+				return `Sparing ${rule} entities is now ${ruleArgs[0]}.`;
+			}
+
+			// Players are the other way around, as they are spared unless this is turned on.
+			if (rule === "players") {
+				friendlyFire.hitPlayers = !parseToggle(ruleArgs[0], scytheCommands.spare.usage);
+				saveWorldConfig(config);
+
+				return friendlyFire.hitPlayers ? "The mob sweep now hurts players when pvp is on." : "The mob sweep now spares players.";
+			}
+
+			throw new Error(`Usage: ${scytheCommands.spare.usage}`);
+		}
+	},
+	protect: {
+		usage: "protect add <name> <x1> <y1> <z1> <x2> <y2> <z2> [allowed tag] [dimension] | protect remove <name>",
+		run: (args, source) => {
+			const [action, name, ...coordinateArgs] = args;
+			const config = getWorldConfig();
+
+			if (action === "remove" && name) {
+				const areaCount = config.protectedAreas.length;
+
+				config.protectedAreas = config.protectedAreas.filter((area) => area.name !== name);
+
+				if (config.protectedAreas.length === areaCount) {
+					throw new Error(`There is no protected area named ${name}.`);
+				}
+
+				saveWorldConfig(config);
+
+				return `Removed protected area ${name}.`;
+			}
+
+			const coordinates = coordinateArgs.slice(0, 6).map((value) => parseInt(value));
+
+			if (action !== "add" || !name || coordinates.length < 6 || coordinates.some((value) => isNaN(value))) {
+				throw new Error(`Usage: ${scytheCommands.protect.usage}`);
+			}
+
+			const [x1, y1, z1, x2, y2, z2] = coordinates;
+
+			// The dimension can be given after the coordinates, in any order with the allowed tag. Otherwise it is the sender's.
+			const extraArgs = coordinateArgs.slice(6);
+			const dimensionArg = extraArgs.find((arg) => dimensionIds.includes(arg));
+			const allowedTag = extraArgs.find((arg) => arg !== dimensionArg);
+			const dimensionId = dimensionArg ?? (source ? source.dimension.id : undefined);
+
+			// Commands run without an entity, like from a command block or the server console, have no dimension to take.
+			if (!dimensionId) {
+				throw new Error(`Name the dimension of the area, one of ${dimensionIds.join(", ")}, when running this without an entity.`);
+			}
+
+			// Replace any area with the same name, so it can be moved by adding it again.
+			config.protectedAreas = config.protectedAreas.filter((area) => area.name !== name);
+			config.protectedAreas.push({
+				name,
+				dimensionId,
+				min: { x: Math.min(x1, x2), y: Math.min(y1, y2), z: Math.min(z1, z2) },
+				max: { x: Math.max(x1, x2), y: Math.max(y1, y2), z: Math.max(z1, z2) },
+				allowedTag
+			});
+
+			saveWorldConfig(config);
+
+			return `Sweeps can no longer touch blocks in ${name}.`;
+		}
+	},
+	durability: {
+		usage: "durability <cost per swing|default>",
+		run: (args) => {
+			const config = getWorldConfig();
+
+			// Going back to the default lets every scythe use the cost from its own tags.
+			if (args[0] === "default") {
+				config.durabilityCost = undefined;
+				saveWorldConfig(config);
+
+				return "Scythes now lose their own durability cost per swing.";
+			}
+
+			const cost = parseInt(args[0]);
+
+			if (isNaN(cost) || cost < 0) {
+				throw new Error(`Usage: ${scytheCommands.durability.usage}`);
+			}
+
+			config.durabilityCost = cost;
+			saveWorldConfig(config);
+
+			return `Scythes now lose ${cost} durability per swing.`;
+		}
+	},
+	durabilitymodel: {
+		usage: "durabilitymodel <swing|blocks> [blocks per point]",
+		run: (args) => {
+			const [model, blocksPerPointArg] = args;
+
+			if (model !== "swing" && model !== "blocks") {
+				throw new Error(`Usage: ${scytheCommands.durabilitymodel.usage}`);
+			}
+
+			const config = getWorldConfig();
+
+			config.durabilityModel = model;
+
+			if (model === "blocks" && blocksPerPointArg !== undefined) {
+				const blocksPerPoint = parseInt(blocksPerPointArg);
+
+				if (isNaN(blocksPerPoint) || blocksPerPoint < 1) {
+					throw new Error(`Usage: ${scytheCommands.durabilitymodel.usage}`);
+				}
+
+				config.durabilityBlocksPerPoint = blocksPerPoint;
+			}
+
+			saveWorldConfig(config);
+
+			return model === "swing" ? "Scythes now lose durability once per swing." : `Scythes now lose durability once per ${config.durabilityBlocksPerPoint} blocks processed.`;
+		}
+	},
+	budget: {
+		usage: "budget <blocks per tick>",
+		run: (args) => {
+			const blocksPerTick = parseInt(args[0]);
+
+			if (isNaN(blocksPerTick) || blocksPerTick < 1) {
+				throw new Error(`Usage: ${scytheCommands.budget.usage}`);
+			}
+
+			const config = getWorldConfig();
+
+			config.sweepBlocksPerTick = blocksPerTick;
+			saveWorldConfig(config);
+
+			return `Sweeps now process up to ${blocksPerTick} blocks per tick.`;
+		}
+	},
+	seed: {
+		usage: "seed <whole number|off>",
+		run: (args) => {
+			const seed = args[0] === "off" ? undefined : Number(args[0]);
+
+			if (seed !== undefined && !Number.isInteger(seed)) {
+				throw new Error(`Usage: ${scytheCommands.seed.usage}`);
+			}
+
+			const config = getWorldConfig();
+
+			config.randomSeed = seed;
+			saveWorldConfig(config);
+			setRandomSeed(seed);
+
+			return seed === undefined ? "Scythe rolls are no longer seeded." : `Scythe rolls are now seeded with ${seed}.`;
+		}
+	},
+	undo: {
+		usage: "undo [player name]",
+		run: (args, source) => {
+			const playerName = args.join(" ");
+			const player = playerName ? world.getPlayers({ name: playerName })[0] : source;
+
+			if (!(player instanceof Player)) {
+				throw new Error(playerName ? `No player named ${playerName} is online.` : `Usage: ${scytheCommands.undo.usage}`);
+			}
+
+			const blockCount = undoLastSweep(player);
+
+			return `Undid the last sweep of ${player.name}, putting back ${blockCount} ${blockCount === 1 ? "block" : "blocks"}.`;
+		}
+	},
+	undolog: {
+		usage: "undolog <sweeps kept> <seconds>",
+		run: (args) => {
+			const logSize = parseInt(args[0]);
+			const seconds = parseInt(args[1]);
+
+			if (isNaN(logSize) || logSize < 0 || isNaN(seconds) || seconds < 1) {
+				throw new Error(`Usage: ${scytheCommands.undolog.usage}`);
+			}
+
+			const config = getWorldConfig();
+
+			config.undoLogSize = logSize;
+			config.undoSeconds = seconds;
+			saveWorldConfig(config);
+
+			return logSize === 0 ? "Undoing sweeps is now off." : `Players can now undo their last ${logSize} sweeps within ${seconds} seconds.`;
+		}
+	},
+	reset: {
+		usage: "reset",
+		run: () => {
+			resetWorldConfig();
+			setRandomSeed(undefined);
+
+			return "Scythe configuration reset to defaults.";
+		}
+	},
+	list: {
+		usage: "list",
+		run: () => {
+			const config = getWorldConfig();
+			const lines = ["Scythe configuration:"];
+
+			lines.push(`Added destructibles: ${formatList(config.addedDestructables)}`);
+			lines.push(`Removed destructibles: ${formatList(config.removedDestructables)}`);
+
+			for (const [itemId, tierOverride] of Object.entries(config.tierOverrides)) {
+				const overrides = Object.entries(tierOverride).map(([propertyName, value]) => `${propertyName} ${value}`);
+
+				lines.push(`${itemId}: ${overrides.join(", ")}`);
+			}
+
+			lines.push(`Mob sweep: ${config.mobSweep ? "on" : "off"}`);
+			lines.push(`Spared types: ${formatList(config.friendlyFire.excludedTypes)}`);
+			lines.push(`Spared families: ${formatList(config.friendlyFire.excludedFamilies)}`);
+			lines.push(`Spared tags: ${formatList(config.friendlyFire.excludedTags)}`);
+			lines.push(`Spare tamed: ${config.friendlyFire.spareTamed ? "on" : "off"}, named: ${config.friendlyFire.spareNamed ? "on" : "off"}, team: ${config.friendlyFire.spareTeam ? "on" : "off"}, players: ${config.friendlyFire.hitPlayers ? "off" : "on"}`);
+
+			for (const area of config.protectedAreas) {
+				lines.push(`Protected ${area.name}: ${area.min.x} ${area.min.y} ${area.min.z} to ${area.max.x} ${area.max.y} ${area.max.z} in ${area.dimensionId}${area.allowedTag ? `, allowed tag ${area.allowedTag}` : ""}`);
+			}
+
+			lines.push(`Durability cost per swing: ${config.durabilityCost ?? "per scythe"}`);
+			lines.push(`Durability model: ${config.durabilityModel === "blocks" ? `per ${config.durabilityBlocksPerPoint} blocks` : "per swing"}`);
+			lines.push(`Sweep blocks per tick: ${config.sweepBlocksPerTick}`);
+			lines.push(`Replant seeds from: ${config.replantFromInventory ? "inventory" : "drops"}`);
+			lines.push(`Random seed: ${config.randomSeed ?? "none"}`);
+			lines.push(`Undo: last ${config.undoLogSize} sweeps, within ${config.undoSeconds} seconds`);
+
+			return lines.join("\n");
+		}
+	}
+};
+
+/**
+ * Runs an admin command from a script event message and replies to whoever sent it.
+ * @param {string} message - The message of the script event, like "reach djc:iron_scythe 5".
+ * @param {Entity | undefined} source - The entity that sent the script event, if any.
+ */
+export function runScytheCommand(message, source) {
+	const [commandName, ...args] = message.trim().split(/\s+/);
+	const command = scytheCommands[commandName];
+
+	if (!command) {
+		reply(source, `Unknown scythe command. Commands: ${Object.keys(scytheCommands).join(", ")}`);
+		return;
+	}
+
+	try {
+		reply(source, command.run(args, source));
+	} catch (error) {
+		reply(source, error.message);
+	}
+}
+
+/**
+ * Sends a message to the player that ran a command. Commands run without a player, like from a command block, are replied to in the content log.
+ * @param {Entity | undefined} source
+ * @param {string} message
+ */
+function reply(source, message) {
+	if (source instanceof Player) {
+		source.sendMessage(message);
+	} else {
+		console.warn(message);
+	}
+}
+
+/**
+ * Sets or clears an override for one property of a scythe tier.
+ * @param {string[]} args - The scythe id followed by the new value, or "default" to remove the override.
+ * @param {"reach" | "arc"} propertyName
+ * @param {number} min - The lowest value allowed.
+ * @param {number} max - The highest value allowed.
+ */
+function setTierOverride(args, propertyName, min, max) {
+	const [itemId, valueArg] = args;
+	const usage = scytheCommands[propertyName].usage;
+
+	if (!itemId || !valueArg) {
+		throw new Error(`Usage: ${usage}`);
+	}
+
+	const config = getWorldConfig();
+	const tierOverride = config.tierOverrides[itemId] ?? {};
+
+	if (valueArg === "default") {
+		delete tierOverride[propertyName];
+	} else {
+		const value = parseInt(valueArg);
+
+		if (isNaN(value) || value < min || value > max) {
+			throw new Error(`${propertyName} must be a number from ${min} to ${max}.`);
+		}
+
+		tierOverride[propertyName] = value;
+	}
+
+	// Don't keep empty overrides around.
+	if (Object.keys(tierOverride).length > 0) {
+		config.tierOverrides[itemId] = tierOverride;
+	} else {
+		delete config.tierOverrides[itemId];
+	}
+
+	saveWorldConfig(config);
+
+	return valueArg === "default" ? `${itemId} uses its default ${propertyName} again.` : `${itemId} now has ${propertyName} ${tierOverride[propertyName]}.`;
+}
+
+/**
+ * Reads an on or off argument.
+ * @param {string} value
+ * @param {string} usage - The usage of the command, shown if the argument is neither.
+ * @returns {boolean}
+ */
+function parseToggle(value, usage) {
+	if (value !== "on" && value !== "off") {
+		throw new Error(`Usage: ${usage}`);
+	}
+
+	return value === "on";
+}
+
+/**
+ * Formats a list of ids for a reply.
+ * @param {string[]} values
+ */
+function formatList(values) {
+	return values.length > 0 ? values.join(", ") : "none";
+}
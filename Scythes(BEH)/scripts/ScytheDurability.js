@@ -0,0 +1,125 @@
+import { ContainerSlot, GameMode, ItemComponentTypes, ItemStack, Player } from "@minecraft/server";
+import { getHeldSlot } from "./InventoryLibrary(1.1.2)";
+import { getEnchantmentLevel, getScytheDurabilityCost } from "./ItemUtils";
+import { rollChance } from "./Random";
+import { getWorldConfig } from "./WorldConfig";
+
+/**
+ * Gets the durability a sweep costs before Unbreaking, following the world's durability model.
+ * With the "swing" model every swing that processes something costs the scythe's durability cost.
+ * With the "blocks" model the cost is paid once for every started group of blocks processed.
+ * @param {ItemStack} scythe
+ * @param {number} processedBlockCount - How many blocks the sweep processed.
+ * @returns {number}
+ */
+export function getSweepDurabilityCost(scythe, processedBlockCount) {
+	const config = getWorldConfig();
+	const durabilityCost = getScytheDurabilityCost(scythe);
+
+	if (config.durabilityModel === "blocks") {
+		return Math.ceil(processedBlockCount / config.durabilityBlocksPerPoint) * durabilityCost;
+	}
+
+	return durabilityCost;
+}
+
+/**
+ * Rolls how much of a durability cost actually damages an item. Like vanilla tools, each point has a 1 in (level + 1) chance to go through Unbreaking.
+ * @param {number} durabilityCost
+ * @param {number} unbreakingLevel
+ * @returns {number}
+ */
+export function rollUnbreaking(durabilityCost, unbreakingLevel) {
+	if (unbreakingLevel <= 0) {
+		return durabilityCost;
+	}
+
+	let damage = 0;
+
+	for (let point = 0; point < durabilityCost; point++) {
+		if (rollChance(1 / (unbreakingLevel + 1))) {
+			damage++;
+		}
+	}
+
+	return damage;
+}
+
+/**
+ * Damages a scythe for the work a sweep did, once the sweep has finished. Sweeps can take several ticks, so the scythe is found through the slot it was held in,
+ * and is left alone if the player has moved it or swapped it for something else in the meantime.
+ * @param {Player} player
+ * @param {ContainerSlot} slot - The slot the scythe was held in when the sweep started.
+ * @param {string} scytheId - The id of the scythe that started the sweep.
+ * @param {number} processedBlockCount - How many blocks the sweep processed.
+ * @param {number} [extraCost=0] - Durability lost on top of the usual cost, like for charged sweeps.
+ */
+export function damageScytheInSlot(player, slot, scytheId, processedBlockCount, extraCost = 0) {
+	if (!slot.isValid() || !slot.hasItem() || slot.typeId !== scytheId) {
+		return;
+	}
+
+	damageItemInSlot(player, slot, scytheId, getSweepDurabilityCost(slot.getItem(), processedBlockCount) + extraCost);
+}
+
+/**
+ * Damages the scythe a player is holding once a sweep of it is done.
+ * The sweep can take a few ticks, so the slot the scythe is held in is remembered right away, before the player can switch slots.
+ * @param {Player} player
+ * @param {ItemStack} scythe - The scythe that started the sweep.
+ * @param {Promise<number>} sweep - Resolves with how many blocks the sweep processed.
+ * @param {number} [extraCost=0] - Durability lost on top of the usual cost, like for charged sweeps.
+ * @returns {Promise<number>} Resolves with how many blocks the sweep processed, once the scythe has been damaged.
+ */
+export function damageScytheAfterSweep(player, scythe, sweep, extraCost = 0) {
+	const heldSlot = getHeldSlot(player);
+	const scytheId = scythe.typeId;
+
+	return sweep.then((processedBlockCount) => {
+		if (processedBlockCount > 0) {
+			damageScytheInSlot(player, heldSlot, scytheId, processedBlockCount, extraCost);
+		}
+
+		return processedBlockCount;
+	});
+}
+
+/**
+ * Damages the tool in a slot, breaking it if it runs out of durability. Unbreaking is applied, and tools never lose durability in creative mode.
+ * Nothing happens if the slot no longer holds the given tool.
+ * @param {Player} player
+ * @param {ContainerSlot} slot
+ * @param {string} itemId - The id of the tool that should be in the slot.
+ * @param {number} durabilityCost - The durability to take before Unbreaking.
+ */
+export function damageItemInSlot(player, slot, itemId, durabilityCost) {
+	if (!player.isValid() || player.getGameMode() === GameMode.creative) {
+		return;
+	}
+
+	if (!slot.isValid() || !slot.hasItem() || slot.typeId !== itemId) {
+		return;
+	}
+
+	const item = slot.getItem();
+	const durability = item.getComponent(ItemComponentTypes.Durability);
+
+	if (!durability) {
+		return;
+	}
+
+	const damage = rollUnbreaking(durabilityCost, getEnchantmentLevel(item, "unbreaking"));
+
+	if (damage === 0) {
+		return;
+	}
+
+	if (durability.damage + damage > durability.maxDurability) {
+		slot.setItem(undefined);
+		player.playSound("random.break");
+		return;
+	}
+
+	durability.damage += damage;
+	slot.setItem(item);
+}
@@ -0,0 +1,137 @@
+import { Block, Player, world } from "@minecraft/server";
+
+/**
+ * @typedef {Object} SweepEvent
+ * @property {"harvest" | "destroy" | "sow"} type - Whether the sweep came from using the scythe, hitting a block with it, or sneak-using it to till and sow.
+ * @property {string} playerId - The id of the player who swept.
+ * @property {string} playerName - The name of the player who swept.
+ * @property {string | undefined} scytheId - The id of the scythe used.
+ * @property {string} dimensionId - The id of the dimension the sweep happened in.
+ * @property {number} processedBlockCount - How many blocks the sweep processed.
+ * @property {Object<string, number>} blocks - How many blocks were processed, keyed by category: crop, fertilized, pickable, sugarcane, bamboo, gourd, destroyed, tilled or sown.
+ * @property {Object<string, number>} givenDrops - The items put straight in the player's inventory, keyed by item id.
+ * @property {Object<string, number>} spawnedDrops - The items dropped on the ground, keyed by item id.
+ */
+
+/**
+ * @typedef {Object} SweptEntity
+ * @property {string} id - The id of the entity.
+ * @property {string} typeId - The type id of the entity.
+ * @property {number} damage - The damage dealt to the entity.
+ */
+
+/**
+ * @typedef {Object} MobSweepEvent
+ * @property {string} playerId - The id of the player who swept.
+ * @property {string} playerName - The name of the player who swept.
+ * @property {string} scytheId - The id of the scythe used.
+ * @property {string} dimensionId - The id of the dimension the sweep happened in.
+ * @property {SweptEntity} hitEntity - The entity the player hit, which started the sweep.
+ * @property {SweptEntity[]} entities - The other entities the sweep damaged.
+ */
+
+/**
+ * @typedef {Object} BeforeSweepEvent
+ * @property {"harvest" | "destroy" | "sow" | "crowbar"} type - Whether the sweep came from using the scythe, hitting a block with it, or sneak-using it to till and sow. Crowbar is a single block about to be picked up or pried open with a crowbar.
+ * @property {Player} player - The player about to sweep.
+ * @property {string | undefined} scytheId - The id of the scythe used, or of the crowbar.
+ * @property {Block[]} blocks - Every block the sweep is about to look at. Not every one of them will be harvested.
+ * @property {boolean} cancel - Set to true to cancel the whole sweep.
+ * @property {(block: Block) => void} cancelBlock - Stops the sweep from touching a single block.
+ */
+
+/**
+ * The ids of the script events sent for each scythe event. Other packs can listen for them with system.afterEvents.scriptEventReceive,
+ * and read the event from the message as JSON. The events are sent with the scriptevent command, from the dimension the sweep happened in.
+ */
+export const scytheEventIds = {
+	sweep: "djc:scythe_sweep",
+	mobSweep: "djc:scythe_mob_sweep"
+};
+
+/**
+ * The callbacks subscribed to each scythe event from this pack's scripts, keyed by event name.
+ * beforeSweep runs before a sweep touches any block, and is the only event that can be cancelled. It is not sent to other packs, as they can't answer in time.
+ * @type {Object<string, Function[]>}
+ */
+const subscribers = {
+	beforeSweep: [],
+	sweep: [],
+	mobSweep: []
+};
+
+/**
+ * Subscribes to a scythe event from the scripts of this pack.
+ * @param {"beforeSweep" | "sweep" | "mobSweep"} eventName
+ * @param {(event: BeforeSweepEvent | SweepEvent | MobSweepEvent) => void} callback
+ * @returns {(event: BeforeSweepEvent | SweepEvent | MobSweepEvent) => void} The callback, so it can be unsubscribed later.
+ * @throws {Error} If there is no scythe event with the given name.
+ */
+export function subscribeScytheEvent(eventName, callback) {
+	getSubscribers(eventName).push(callback);
+
+	return callback;
+}
+
+/**
+ * Unsubscribes a callback from a scythe event.
+ * @param {"beforeSweep" | "sweep" | "mobSweep"} eventName
+ * @param {(event: BeforeSweepEvent | SweepEvent | MobSweepEvent) => void} callback
+ */
+export function unsubscribeScytheEvent(eventName, callback) {
+	const eventSubscribers = getSubscribers(eventName);
+	const index = eventSubscribers.indexOf(callback);
+
+	if (index !== -1) {
+		eventSubscribers.splice(index, 1);
+	}
+}
+
+/**
+ * Sends a scythe event to every subscriber, and to other packs as a script event if it has one.
+ * @param {"beforeSweep" | "sweep" | "mobSweep"} eventName
+ * @param {BeforeSweepEvent | SweepEvent | MobSweepEvent} event
+ */
+export function emitScytheEvent(eventName, event) {
+	for (const callback of [...getSubscribers(eventName)]) {
+		// One broken subscriber shouldn't keep the event from the others.
+		try {
+			callback(event);
+		} catch (error) {
+			console.warn(`Scythe ${eventName} subscriber failed: ${error}`);
+		}
+	}
+
+	if (scytheEventIds[eventName]) {
+		sendScriptEvent(scytheEventIds[eventName], event);
+	}
+}
+
+/**
+ * Sends a scythe event to other packs as a script event. Failing to reach them, like when the message is too long for the command, must never break the sweep that sent it.
+ * @param {string} scriptEventId
+ * @param {SweepEvent | MobSweepEvent} event
+ */
+function sendScriptEvent(scriptEventId, event) {
+	try {
+		world.getDimension(event.dimensionId).runCommand(`scriptevent ${scriptEventId} ${JSON.stringify(event)}`);
+	} catch (error) {
+		console.warn(`Scythe event ${scriptEventId} could not be sent to other packs: ${error}`);
+	}
+}
+
+/**
+ * Gets the subscribers of a scythe event.
+ * @param {string} eventName
+ * @returns {Function[]}
+ * @throws {Error} If there is no scythe event with the given name.
+ */
+function getSubscribers(eventName) {
+	const eventSubscribers = subscribers[eventName];
+
+	if (!eventSubscribers) {
+		throw new Error(`Unknown scythe event: ${eventName}`);
+	}
+
+	return eventSubscribers;
+}
@@ -0,0 +1,73 @@
+import { Block, GameMode, ItemStack, Player } from "@minecraft/server";
+import { getWorldConfig } from "./WorldConfig";
+import { emitScytheEvent } from "./ScytheEvents";
+
+/**
+ * Builds a check of whether a player's sweep may touch a block, following the world's protected areas and the rules of adventure mode.
+ * Built once per sweep, so the protected areas, held scythe and game mode are only read once.
+ * @param {Player} player - The player sweeping.
+ * @param {ItemStack | undefined} scythe - The scythe used.
+ * @returns {(block: Block) => boolean}
+ */
+export function getSweepProtection(player, scythe) {
+	// Players can sweep inside the protected areas they are allowed into.
+	const protectedAreas = getWorldConfig().protectedAreas.filter((area) => area.dimensionId === player.dimension.id && (!area.allowedTag || !player.hasTag(area.allowedTag)));
+
+	// In adventure mode, blocks can only be broken if the held item lists them in can_destroy.
+	const canDestroyIds = player.getGameMode() === GameMode.adventure ? (scythe ? scythe.getCanDestroy().map(normalizeBlockId) : []) : undefined;
+
+	return (block) => {
+		if (canDestroyIds && !canDestroyIds.includes(block.typeId)) {
+			return false;
+		}
+
+		return !protectedAreas.some((area) => isLocationInArea(block.location, area));
+	};
+}
+
+/**
+ * Determines if a player may change a single block outside of a sweep, like picking up a container or prying a door with the crowbar.
+ * The block is held to the same protected areas and adventure mode rules as a sweep, and beforeSweep subscribers can veto it.
+ * @param {Player} player
+ * @param {ItemStack} item - The item used on the block.
+ * @param {Block} block
+ * @param {"crowbar"} type - What is changing the block, passed on as the type of the beforeSweep event.
+ */
+export function canChangeBlock(player, item, block, type) {
+	if (!getSweepProtection(player, item)(block)) {
+		return false;
+	}
+
+	let blockCancelled = false;
+
+	/** @type {BeforeSweepEvent} */
+	const beforeSweepEvent = {
+		type,
+		player,
+		scytheId: item.typeId,
+		blocks: [block],
+		cancel: false,
+		cancelBlock: () => (blockCancelled = true)
+	};
+
+	emitScytheEvent("beforeSweep", beforeSweepEvent);
+
+	return !beforeSweepEvent.cancel && !blockCancelled;
+}
+
+/**
+ * Determines if a location lies inside a protected area.
+ * @param {Vector3} location
+ * @param {ProtectedArea} area
+ */
+function isLocationInArea(location, area) {
+	return location.x >= area.min.x && location.x <= area.max.x && location.y >= area.min.y && location.y <= area.max.y && location.z >= area.min.z && location.z <= area.max.z;
+}
+
+/**
+ * Adds the minecraft namespace to a block id that was written without one, as can_destroy lists allow.
+ * @param {string} blockId
+ */
+function normalizeBlockId(blockId) {
+	return blockId.includes(":") ? blockId : `minecraft:${blockId}`;
+}
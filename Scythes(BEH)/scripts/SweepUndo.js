@@ -0,0 +1,349 @@
+import { Block, BlockPermutation, Dimension, Entity, EntityComponentTypes, GameMode, ItemStack, Player, system, world } from "@minecraft/server";
+import { getEntityContainer, giveEntityItems } from "./InventoryLibrary(1.1.2)";
+import { getWorldConfig } from "./WorldConfig";
+
+/**
+ * @typedef {Object} ChangedBlock
+ * @property {Vector3} location - The location of the block.
+ * @property {BlockPermutation} permutation - The permutation the block had before the sweep changed it.
+ * @property {boolean} droppedItems - Whether the sweep dropped items on the ground at the block.
+ */
+
+/**
+ * How far from a block that dropped items an undo looks for them, as they scatter and roll when dropped.
+ */
+const droppedItemSearchDistance = 4;
+
+/**
+ * @typedef {Object} UndoEntry
+ * @property {string} dimensionId - The id of the dimension the sweep happened in.
+ * @property {number} tick - The tick the sweep finished.
+ * @property {ChangedBlock[]} changedBlocks - Every block the sweep changed, in the order they were changed.
+ * @property {Set<string>} changedBlockKeys - The locations of the changed blocks, so each block is only recorded the first time it changes.
+ * @property {Object<string, number>} givenDrops - The items the sweep put in the player's inventory, keyed by item id.
+ * @property {Object<string, number>} spawnedDrops - The items the sweep dropped on the ground, keyed by item id.
+ * @property {Object<string, number>} usedItems - The items the sweep took from the player's inventory, like sown seeds, keyed by item id.
+ */
+
+/**
+ * The most recent sweeps of each player, newest last, keyed by player id.
+ * @type {Map<string, UndoEntry[]>}
+ */
+const undoLogs = new Map();
+
+/**
+ * The entry that block changes are recorded to right now, if any.
+ * @type {UndoEntry | undefined}
+ */
+let recordingEntry = undefined;
+
+/**
+ * Creates an empty undo entry for a sweep that is about to start.
+ * @param {Player} player
+ * @returns {UndoEntry}
+ */
+export function createUndoEntry(player) {
+	return {
+		dimensionId: player.dimension.id,
+		tick: system.currentTick,
+		changedBlocks: [],
+		changedBlockKeys: new Set(),
+		givenDrops: {},
+		spawnedDrops: {},
+		usedItems: {}
+	};
+}
+
+/**
+ * Sets the entry block changes are recorded to. Set it back to undefined once the sweep's blocks have been processed.
+ * @param {UndoEntry | undefined} entry
+ */
+export function setRecordingUndoEntry(entry) {
+	recordingEntry = entry;
+}
+
+/**
+ * Records a block just before a sweep changes it, so the change can be undone. Only the first change to each block is kept.
+ * @param {Block} block
+ * @param {boolean} [dropsItems=false] - Whether the change drops items on the ground.
+ */
+export function recordBlockChange(block, dropsItems = false) {
+	if (!recordingEntry) {
+		return;
+	}
+
+	const key = getLocationKey(block.location);
+
+	if (recordingEntry.changedBlockKeys.has(key)) {
+		if (dropsItems) {
+			recordingEntry.changedBlocks.find((changedBlock) => getLocationKey(changedBlock.location) === key).droppedItems = true;
+		}
+
+		return;
+	}
+
+	recordingEntry.changedBlockKeys.add(key);
+	recordingEntry.changedBlocks.push({ location: { ...block.location }, permutation: block.permutation, droppedItems: dropsItems });
+}
+
+/**
+ * Records items a sweep took from the player's inventory, so they are given back if the sweep is undone.
+ * @param {string} itemId
+ * @param {number} amount
+ */
+export function recordUsedItems(itemId, amount) {
+	if (!recordingEntry) {
+		return;
+	}
+
+	recordingEntry.usedItems[itemId] = (recordingEntry.usedItems[itemId] ?? 0) + amount;
+}
+
+/**
+ * Adds a finished sweep to the player's undo log, dropping the oldest sweeps once the log is full.
+ * @param {Player} player
+ * @param {UndoEntry} entry
+ * @param {Object<string, number>} givenDrops - The items the sweep put in the player's inventory, keyed by item id.
+ * @param {Object<string, number>} spawnedDrops - The items the sweep dropped on the ground, keyed by item id.
+ */
+export function saveUndoEntry(player, entry, givenDrops, spawnedDrops) {
+	if (entry.changedBlocks.length === 0) {
+		return;
+	}
+
+	const undoLog = getUndoLog(player);
+
+	entry.tick = system.currentTick;
+	entry.givenDrops = givenDrops;
+	entry.spawnedDrops = spawnedDrops;
+	undoLog.push(entry);
+
+	undoLog.splice(0, Math.max(undoLog.length - getWorldConfig().undoLogSize, 0));
+}
+
+/**
+ * Determines if the player has a sweep recent enough to undo.
+ * @param {Player} player
+ */
+export function canUndoSweep(player) {
+	return getUndoLog(player).length > 0;
+}
+
+/**
+ * Undoes the player's most recent sweep that is still within the undo window. The blocks are put back the way they were, the items the sweep gave the player are taken back,
+ * and the items it used up are given back.
+ * Every item the sweep handed out has to be taken back, from the ground around the blocks it dropped at or from the player's inventory, or else the undo is refused,
+ * as it would duplicate them. Creative players can always undo, taking back whatever is left.
+ * @param {Player} player
+ * @returns {number} The number of blocks put back.
+ * @throws {Error} If the player has no sweep to undo, or the sweep's items can't all be taken back. The sweep is kept, so it can be undone once they are.
+ */
+export function undoLastSweep(player) {
+	const undoLog = getUndoLog(player);
+	const entry = undoLog[undoLog.length - 1];
+
+	if (!entry) {
+		throw new Error("There is no recent sweep to undo.");
+	}
+
+	const dimension = world.getDimension(entry.dimensionId);
+	const isCreative = player.getGameMode() === GameMode.creative;
+
+	const droppedItems = findDroppedItems(dimension, entry);
+	const handedOutItems = { ...entry.givenDrops };
+
+	for (const [itemId, amount] of Object.entries(entry.spawnedDrops)) {
+		handedOutItems[itemId] = (handedOutItems[itemId] ?? 0) + amount;
+	}
+
+	const missingItemIds = Object.entries(handedOutItems)
+		.filter(([itemId, amount]) => countDroppedItems(droppedItems, itemId) + countItems(player, itemId) < amount)
+		.map(([itemId]) => itemId);
+
+	if (missingItemIds.length > 0 && !isCreative) {
+		throw new Error(`Put back the ${missingItemIds.map((itemId) => itemId.replace("minecraft:", "")).join(", ")} the sweep gave you before undoing it.`);
+	}
+
+	undoLog.pop();
+
+	// Put the blocks back in the opposite order they were changed in, so blocks that depend on others, like the top of a pitcher plant, go back last.
+	for (const changedBlock of [...entry.changedBlocks].reverse()) {
+		const block = dimension.getBlock(changedBlock.location);
+
+		if (!block) {
+			continue;
+		}
+
+		block.setPermutation(changedBlock.permutation);
+	}
+
+	// Items still on the ground are taken first, and whatever was picked up since is taken from the inventory.
+	takeItems(player, takeDroppedItems(dimension, droppedItems, handedOutItems));
+
+	for (const [itemId, amount] of Object.entries(entry.usedItems)) {
+		giveItems(player, itemId, amount);
+	}
+
+	return entry.changedBlocks.length;
+}
+
+/**
+ * Gets the undo log of a player, without the sweeps that are older than the undo window.
+ * @param {Player} player
+ * @returns {UndoEntry[]}
+ */
+function getUndoLog(player) {
+	const oldestTick = system.currentTick - getWorldConfig().undoSeconds * 20;
+	const undoLog = (undoLogs.get(player.id) ?? []).filter((entry) => entry.tick >= oldestTick);
+
+	undoLogs.set(player.id, undoLog);
+
+	return undoLog;
+}
+
+/**
+ * Finds the item entities lying around the blocks a sweep dropped items at.
+ * @param {Dimension} dimension
+ * @param {UndoEntry} entry
+ * @returns {Entity[]}
+ */
+function findDroppedItems(dimension, entry) {
+	const droppedItems = new Map();
+
+	for (const changedBlock of entry.changedBlocks) {
+		if (!changedBlock.droppedItems) {
+			continue;
+		}
+
+		const location = { x: changedBlock.location.x + 0.5, y: changedBlock.location.y + 0.5, z: changedBlock.location.z + 0.5 };
+
+		for (const item of dimension.getEntities({ type: "minecraft:item", location, maxDistance: droppedItemSearchDistance })) {
+			droppedItems.set(item.id, item);
+		}
+	}
+
+	return [...droppedItems.values()];
+}
+
+/**
+ * Counts the items of a type among item entities.
+ * @param {Entity[]} droppedItems
+ * @param {string} itemId
+ * @returns {number}
+ */
+function countDroppedItems(droppedItems, itemId) {
+	return droppedItems.reduce((count, item) => {
+		const itemStack = item.getComponent(EntityComponentTypes.Item).itemStack;
+
+		return itemStack.typeId === itemId ? count + itemStack.amount : count;
+	}, 0);
+}
+
+/**
+ * Removes item entities from the ground, up to the given number of each item. A stack with more than is needed is put back with the rest.
+ * @param {Dimension} dimension
+ * @param {Entity[]} droppedItems
+ * @param {Object<string, number>} items - The number of each item to take, keyed by item id.
+ * @returns {Object<string, number>} The number of each item that wasn't found on the ground.
+ */
+function takeDroppedItems(dimension, droppedItems, items) {
+	const remaining = { ...items };
+
+	for (const item of droppedItems) {
+		const itemStack = item.getComponent(EntityComponentTypes.Item).itemStack;
+
+		if (!remaining[itemStack.typeId]) {
+			continue;
+		}
+
+		const takenAmount = Math.min(itemStack.amount, remaining[itemStack.typeId]);
+		const location = item.location;
+
+		remaining[itemStack.typeId] -= takenAmount;
+		item.remove();
+
+		if (takenAmount < itemStack.amount) {
+			dimension.spawnItem(new ItemStack(itemStack.typeId, itemStack.amount - takenAmount), location);
+		}
+	}
+
+	return remaining;
+}
+
+/**
+ * Counts how many of an item a player has in their inventory.
+ * @param {Player} player
+ * @param {string} itemId
+ * @returns {number}
+ */
+function countItems(player, itemId) {
+	const container = getEntityContainer(player);
+	let count = 0;
+
+	for (let slot = 0; slot < container.size; slot++) {
+		const item = container.getItem(slot);
+
+		if (item && item.typeId === itemId) {
+			count += item.amount;
+		}
+	}
+
+	return count;
+}
+
+/**
+ * Takes items out of a player's inventory, as far as the player still has them.
+ * @param {Player} player
+ * @param {Object<string, number>} items - The number of each item to take, keyed by item id.
+ */
+function takeItems(player, items) {
+	const container = getEntityContainer(player);
+	const remaining = { ...items };
+
+	for (let slot = 0; slot < container.size; slot++) {
+		const item = container.getItem(slot);
+
+		if (!item || !remaining[item.typeId]) {
+			continue;
+		}
+
+		const takenAmount = Math.min(item.amount, remaining[item.typeId]);
+
+		remaining[item.typeId] -= takenAmount;
+
+		if (takenAmount === item.amount) {
+			container.setItem(slot, undefined);
+		} else {
+			item.amount -= takenAmount;
+			container.setItem(slot, item);
+		}
+	}
+}
+
+/**
+ * Gives items to a player, one stack at a time. Whatever doesn't fit in the inventory is dropped at the player's feet.
+ * @param {Player} player
+ * @param {string} itemId
+ * @param {number} amount
+ */
+function giveItems(player, itemId, amount) {
+	const maxAmount = new ItemStack(itemId).maxAmount;
+
+	for (let remaining = amount; remaining > 0; remaining -= maxAmount) {
+		const itemStack = new ItemStack(itemId, Math.min(remaining, maxAmount));
+		const remainder = giveEntityItems(player, itemStack);
+
+		if (remainder > 0) {
+			player.dimension.spawnItem(new ItemStack(itemId, remainder), player.location);
+		}
+	}
+}
+
+/**
+ * Gets a key that identifies a location within its dimension.
+ * @param {Vector3} location
+ * @returns {string}
+ */
+function getLocationKey(location) {
+	return `${location.x},${location.y},${location.z}`;
+}
@@ -0,0 +1,161 @@
+import { world } from "@minecraft/server";
+import { scytheDestructable } from "./ScytheDestructable";
+
+/**
+ * @typedef {Object} TierOverride
+ * @property {number} [reach] - Replaces the reach of the scythe.
+ * @property {number} [arc] - Replaces the arc width, in degrees, of the scythe.
+ */
+
+/**
+ * @typedef {Object} FriendlyFireConfig
+ * @property {string[]} excludedTypes - Entity type ids the mob sweep never hurts.
+ * @property {string[]} excludedFamilies - Type families the mob sweep never hurts.
+ * @property {string[]} excludedTags - Entity tags that keep an entity out of the mob sweep.
+ * @property {boolean} spareTamed - Whether tamed mobs are spared. When off, only pets that still know their owner are spared by that owner.
+ * @property {boolean} spareNamed - Whether mobs with a name tag are spared.
+ * @property {boolean} spareTeam - Whether entities sharing a team tag, like "team:red", with the attacker are spared.
+ * @property {boolean} hitPlayers - Whether other players can be hurt. They are only ever hurt if the pvp game rule is on too.
+ */
+
+/**
+ * @typedef {Object} ProtectedArea
+ * @property {string} name - The name the area is added and removed by.
+ * @property {string} dimensionId - The id of the dimension the area is in.
+ * @property {Vector3} min - The corner of the area with the lowest coordinates.
+ * @property {Vector3} max - The corner of the area with the highest coordinates.
+ * @property {string} [allowedTag] - Players with this tag can still sweep inside the area, like the owner of a claim.
+ */
+
+/**
+ * @typedef {Object} ScytheWorldConfig
+ * @property {string[]} addedDestructables - Block ids that can be destroyed with a scythe on top of the default list.
+ * @property {string[]} removedDestructables - Block ids from the default list that can no longer be destroyed with a scythe.
+ * @property {Object<string, TierOverride>} tierOverrides - Reach and arc overrides, keyed by scythe item id.
+ * @property {boolean} mobSweep - Whether hitting a mob with a scythe also damages the mobs around it.
+ * @property {number} [durabilityCost] - The durability every scythe loses each swing, or each group of blocks, that processes something. If left out, each scythe uses its own cost.
+ * @property {"swing" | "blocks"} durabilityModel - How a sweep's durability cost is counted: once per swing, or once per group of blocks processed.
+ * @property {number} durabilityBlocksPerPoint - With the "blocks" model, how many processed blocks cost one durability cost.
+ * @property {number} sweepBlocksPerTick - The most blocks a sweep processes in one tick. Bigger sweeps are spread across ticks.
+ * @property {FriendlyFireConfig} friendlyFire - Which entities the mob sweep leaves alone.
+ * @property {ProtectedArea[]} protectedAreas - Areas sweeps never touch, like land claims.
+ * @property {number} undoLogSize - How many of their latest sweeps each player can undo. 0 turns undoing off.
+ * @property {number} undoSeconds - How many seconds after a sweep it can still be undone.
+ * @property {number} [randomSeed] - The seed every roll, like drops and damage, is derived from, so the rolls repeat each time the world loads. If left out, rolls are not seeded.
+ * @property {boolean} replantFromInventory - Whether replanting a crop uses a seed from the player's inventory, instead of one held back from the drops. Crops are left unplanted when the player has none.
+ */
+
+const configPropertyId = "djc:scythe_config";
+
+/**
+ * The configuration used when an admin hasn't changed anything.
+ * @returns {ScytheWorldConfig}
+ */
+function getDefaultConfig() {
+	return {
+		addedDestructables: [],
+		removedDestructables: [],
+		tierOverrides: {},
+		mobSweep: true,
+		durabilityCost: undefined,
+		durabilityModel: "swing",
+		durabilityBlocksPerPoint: 16,
+		sweepBlocksPerTick: 128,
+		friendlyFire: {
+			excludedTypes: ["minecraft:villager_v2", "minecraft:villager", "minecraft:wandering_trader", "minecraft:allay", "minecraft:npc", "minecraft:armor_stand", "minecraft:item", "minecraft:xp_orb", "minecraft:painting", "minecraft:leash_knot"],
+			excludedFamilies: ["inanimate"],
+			excludedTags: ["djc:no_sweep"],
+			spareTamed: true,
+			spareNamed: true,
+			spareTeam: true,
+			hitPlayers: false
+		},
+		protectedAreas: [],
+		undoLogSize: 5,
+		undoSeconds: 30,
+		replantFromInventory: false,
+		randomSeed: undefined
+	};
+}
+
+/**
+ * The configuration as last loaded or saved. Parsing the dynamic property on every block would be slow, so it is kept here.
+ * @type {ScytheWorldConfig | undefined}
+ */
+let cachedConfig = undefined;
+
+/**
+ * The block ids that can be destroyed with a scythe, built from the cached configuration.
+ * @type {string[] | undefined}
+ */
+let cachedDestructables = undefined;
+
+/**
+ * Gets the active world configuration for scythes.
+ * @returns {ScytheWorldConfig}
+ */
+export function getWorldConfig() {
+	if (!cachedConfig) {
+		const storedConfig = world.getDynamicProperty(configPropertyId);
+
+		// Fill in any values a stored configuration from an older version doesn't have.
+		const defaultConfig = getDefaultConfig();
+		const config = { ...defaultConfig, ...(storedConfig ? JSON.parse(storedConfig) : {}) };
+
+		config.friendlyFire = { ...defaultConfig.friendlyFire, ...config.friendlyFire };
+		cachedConfig = config;
+	}
+
+	return cachedConfig;
+}
+
+/**
+ * Saves the world configuration for scythes.
+ * @param {ScytheWorldConfig} config
+ */
+export function saveWorldConfig(config) {
+	cachedConfig = config;
+	cachedDestructables = undefined;
+
+	world.setDynamicProperty(configPropertyId, JSON.stringify(config));
+}
+
+/**
+ * Resets the world configuration for scythes back to the defaults.
+ */
+export function resetWorldConfig() {
+	cachedConfig = undefined;
+	cachedDestructables = undefined;
+
+	world.setDynamicProperty(configPropertyId, undefined);
+}
+
+/**
+ * Gets every block id that can be destroyed with a scythe, including the changes made by admins.
+ * @returns {string[]}
+ */
+export function getScytheDestructables() {
+	if (!cachedDestructables) {
+		const config = getWorldConfig();
+
+		cachedDestructables = [...scytheDestructable, ...config.addedDestructables].filter((blockId) => !config.removedDestructables.includes(blockId));
+	}
+
+	return cachedDestructables;
+}
+
+/**
+ * Gets an admin override for a property of a scythe tier. If there is no override, returns undefined.
+ * @param {string} itemId - The id of the scythe.
+ * @param {"reach" | "arc"} propertyName
+ * @returns {number | undefined}
+ */
+export function getTierOverride(itemId, propertyName) {
+	const tierOverride = getWorldConfig().tierOverrides[itemId];
+
+	if (!tierOverride) {
+		return undefined;
+	}
+
+	return tierOverride[propertyName];
+}
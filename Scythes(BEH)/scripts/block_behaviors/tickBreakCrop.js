@@ -1,4 +1,6 @@
 import { BlockComponentTickEvent, system, world } from "@minecraft/server";
+import { getCropDefinitionByFakeBlock } from "../CropRegistry";
+import { getReplantPermutation } from "../BlockUtils";
 
 export const TickBreakCrop = {
 	/**
@@ -6,11 +8,15 @@ export const TickBreakCrop = {
 	 */
 	onTick: (event) => {
 		const block = event.block;
-		const blockId = block.typeId.split("fake_")[1];
+		const cropDefinition = getCropDefinitionByFakeBlock(block.typeId);
 
 		block.dimension.runCommand(`setblock ${block.location.x} ${block.location.y} ${block.location.z} air destroy`);
 
-		block.setType(`minecraft:${blockId}`);
-		block.setPermutation(block.permutation.withState("growth", 0));
+		// If no crop is replanted through this fake block, leave it broken.
+		if (!cropDefinition) {
+			return;
+		}
+
+		block.setPermutation(getReplantPermutation(block.permutation, cropDefinition));
 	}
 };
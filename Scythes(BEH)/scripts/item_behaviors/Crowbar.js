@@ -0,0 +1,100 @@
+import { Block, ItemComponentUseOnEvent, Player } from "@minecraft/server";
+import { getEntityContainer, getHeldSlot } from "../InventoryLibrary(1.1.2)";
+import { isBlockPackable, packContainer } from "../PackedContainers";
+import { damageItemInSlot } from "../ScytheDurability";
+import { canChangeBlock } from "../SweepProtection";
+
+export const Crowbar = {
+	/**
+	 * @param {ItemComponentUseOnEvent} event
+	 */
+	onUseOn: (event) => {
+		/**@type {Player} */
+		const player = event.source;
+		const block = event.block;
+		const crowbarId = event.itemStack.typeId;
+
+		// Containers are only picked up while sneaking, so using the crowbar on one normally still opens it.
+		const picksUpContainer = player.isSneaking && isBlockPackable(block);
+
+		if (!picksUpContainer && !isBlockPryable(block)) {
+			return;
+		}
+
+		// The crowbar follows the same protection as sweeps, so it can't empty a chest or open a locked door in a protected area.
+		if (!canChangeBlock(player, event.itemStack, block, "crowbar")) {
+			player.onScreenDisplay.setActionBar("This block is protected.");
+			return;
+		}
+
+		if (picksUpContainer) {
+			// A container that couldn't be packed was left alone, so the crowbar isn't worn down.
+			if (!pickUpContainer(player, block)) {
+				return;
+			}
+		} else {
+			pryOpen(block);
+		}
+
+		damageItemInSlot(player, getHeldSlot(player), crowbarId, 1);
+	}
+};
+
+/**
+ * Picks up a container with the crowbar and gives the packed container to the player. If their inventory is full, it is dropped on the ground instead.
+ * @param {Player} player
+ * @param {Block} block
+ * @returns {boolean} Whether the container was picked up. If not, the player is told why.
+ */
+function pickUpContainer(player, block) {
+	const location = block.center();
+	let packedItem;
+
+	try {
+		packedItem = packContainer(block);
+	} catch (error) {
+		player.onScreenDisplay.setActionBar(error.message);
+		return false;
+	}
+
+	const leftover = getEntityContainer(player).addItem(packedItem);
+
+	if (leftover) {
+		player.dimension.spawnItem(leftover, location);
+	}
+
+	player.dimension.playSound("random.pop", location);
+
+	return true;
+}
+
+/**
+ * Determines if a block is a door or trapdoor the crowbar can pry open.
+ * @param {Block} block
+ */
+function isBlockPryable(block) {
+	return block.typeId.endsWith("door") && block.permutation.getState("open_bit") !== undefined;
+}
+
+/**
+ * Pries a door or trapdoor open, or shuts it if it is already open. This works on iron doors and on doors held shut by redstone, as the block state is set directly.
+ * @param {Block} block
+ */
+function pryOpen(block) {
+	const isOpen = block.permutation.getState("open_bit");
+
+	// Both halves of a door carry the open state, so they are changed together.
+	const doorHalves = [block];
+
+	if (block.permutation.getState("upper_block_bit") !== undefined) {
+		doorHalves.push(block.permutation.getState("upper_block_bit") ? block.below() : block.above());
+	}
+
+	for (const doorHalf of doorHalves) {
+		if (doorHalf && doorHalf.typeId === block.typeId) {
+			doorHalf.setPermutation(doorHalf.permutation.withState("open_bit", !isOpen));
+		}
+	}
+
+	block.dimension.playSound(isOpen ? "random.door_close" : "random.door_open", block.center());
+}
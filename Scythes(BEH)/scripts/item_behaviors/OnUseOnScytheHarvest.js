@@ -1,10 +1,10 @@
-import { ItemComponentHitEntityEvent, ItemComponentMineBlockEvent, ItemComponentUseOnEvent, ItemStack, Player, world } from "@minecraft/server";
-import { getItemPropertyTag } from "../ItemUtils";
-import { getBlocksInSweep, getEntitiesInSweep, multiHarvestArc } from "../BlockUtils";
-import { Vector3 } from "../classes/Vector3";
-import { addVectors } from "../vectorUtils";
-import { clearHeldItem, setHeldItem } from "../InventoryLibrary(1.1.2)";
-import { getRandomInt } from "../main";
+import { Block, ItemComponentUseOnEvent, ItemStack, Player } from "@minecraft/server";
+import { getScytheArc, getScytheHeight, getScytheReach, getScytheShape, getScytheSoundProfile, isScytheChargeable, isScytheSingleTarget } from "../ItemUtils";
+import { harvestSingleCrop, multiHarvestArc, tillAndSowArc, tillAndSowBlock } from "../BlockUtils";
+import { getRandom, getRandomFloat } from "../Random";
+import { getPlayerSetting, playScytheSound } from "../PlayerSettings";
+import { damageScytheAfterSweep } from "../ScytheDurability";
+import { undoLastSweep } from "../SweepUndo";
 
 export const OnUseOnScytheHarvest = {
 	/**
@@ -14,34 +14,88 @@ export const OnUseOnScytheHarvest = {
 		/**@type {Player} */
 		const player = event.source;
 		const scythe = event.itemStack;
-		const reach = parseInt(getItemPropertyTag(scythe, "reach"));
 
-		let harvestAmount = multiHarvestArc(player, 180, reach);
+		// Players who turned on sneak undo use sneak-use only to take back their last sweep, and never to sow. Otherwise an undo could take the place of the sowing
+		// that follows a harvest, or of the next sowing, as sowing is a sweep that can be undone too.
+		if (player.isSneaking && getPlayerSetting(player, "sneakUndo")) {
+			undoWithScythe(player);
+			return;
+		}
 
-		if (harvestAmount > 0) {
-			if (!scythe.typeId.includes("wooden") && !scythe.typeId.includes("stone")) {
-				player.playSound(`scythe.shing`, { pitch: getRandomInt(0.8, 1.4), volume: 0.4 });
+		// Sneak-using tills the ground and sows seeds, so a field can be harvested and sown again without switching tools.
+		if (player.isSneaking) {
+			sowWithScythe(player, scythe, event.block);
+			return;
+		}
 
-				const chanceForTwo = 1 / 5;
+		// Single target scythes only harvest the crop they are used on.
+		if (isScytheSingleTarget(scythe)) {
+			harvestSingleCrop(player, event.block);
+			return;
+		}
 
-				if (Math.random() > chanceForTwo && harvestAmount > 1) {
-					player.playSound(`scythe.shing`, { pitch: getRandomInt(0.8, 1.4), volume: 0.2 });
-				}
-			}
+		// Chargeable scythes sweep once use is let go, so a single use never sweeps twice.
+		if (isScytheChargeable(scythe)) {
+			return;
+		}
 
-			const modifiedItem = scythe.clone();
+		sweepWithScythe(player, scythe, getScytheReach(scythe), getScytheArc(scythe));
+	}
+};
 
-			const durability = modifiedItem.getComponent("durability");
+/**
+ * Harvests a sweep in front of a player with the given scythe, then damages the scythe and plays the harvest sounds once the sweep is done.
+ * @param {Player} player
+ * @param {ItemStack} scythe - The scythe the player is holding.
+ * @param {number} reach - How far the sweep reaches, in blocks.
+ * @param {number} arc - The width of the sweep, in degrees.
+ * @param {number} [extraDurabilityCost=0] - Durability lost on top of the scythe's usual cost, like for charged sweeps.
+ */
+export function sweepWithScythe(player, scythe, reach, arc, extraDurabilityCost = 0) {
+	const height = getScytheHeight(scythe);
+	const shape = getScytheShape(scythe);
 
-			if (durability.damage + 1 > durability.maxDurability) {
-				clearHeldItem(player);
-				player.playSound("random.break");
-				return;
-			} else {
-				durability.damage += 1;
-			}
+	const soundProfile = getScytheSoundProfile(scythe);
+
+	damageScytheAfterSweep(player, scythe, multiHarvestArc(player, arc, reach, height, shape), extraDurabilityCost).then((harvestAmount) => {
+		if (harvestAmount === 0 || !player.isValid()) {
+			return;
+		}
+
+		if (soundProfile === "shing") {
+			playScytheSound(player, `scythe.shing`, { pitch: getRandomFloat(0.8, 1.4), volume: 0.4 });
+
+			const chanceForTwo = 1 / 5;
 
-			setHeldItem(player, modifiedItem);
+			if (getRandom() > chanceForTwo && harvestAmount > 1) {
+				playScytheSound(player, `scythe.shing`, { pitch: getRandomFloat(0.8, 1.4), volume: 0.2 });
+			}
 		}
+	});
+}
+
+/**
+ * Undoes the player's last sweep, telling them how it went on the action bar.
+ * @param {Player} player
+ */
+function undoWithScythe(player) {
+	try {
+		const blockCount = undoLastSweep(player);
+
+		player.onScreenDisplay.setActionBar(`Undid the last sweep, putting back ${blockCount} ${blockCount === 1 ? "block" : "blocks"}.`);
+	} catch (error) {
+		player.onScreenDisplay.setActionBar(error.message);
 	}
-};
+}
+
+/**
+ * Tills and sows a sweep in front of a player with the given scythe, then damages the scythe once the sweep is done. Single target scythes only till and sow the block they are used on.
+ * @param {Player} player
+ * @param {ItemStack} scythe - The scythe the player is holding.
+ * @param {Block} block - The block the scythe was used on.
+ */
+function sowWithScythe(player, scythe, block) {
+	const sowing = isScytheSingleTarget(scythe) ? tillAndSowBlock(player, block) : tillAndSowArc(player, getScytheArc(scythe), getScytheReach(scythe), getScytheShape(scythe));
+
+	damageScytheAfterSweep(player, scythe, sowing);
+}
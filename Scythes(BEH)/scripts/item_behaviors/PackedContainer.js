@@ -0,0 +1,51 @@
+import { Block, Direction, ItemComponentUseOnEvent, Player } from "@minecraft/server";
+import { clearHeldItem } from "../InventoryLibrary(1.1.2)";
+import { unpackContainer } from "../PackedContainers";
+
+export const PackedContainer = {
+	/**
+	 * @param {ItemComponentUseOnEvent} event
+	 */
+	onUseOn: (event) => {
+		/**@type {Player} */
+		const player = event.source;
+		const block = getBlockOnFace(event.block, event.blockFace);
+
+		if (!block) {
+			return;
+		}
+
+		try {
+			unpackContainer(event.itemStack, block);
+		} catch (error) {
+			player.onScreenDisplay.setActionBar(error.message);
+			return;
+		}
+
+		clearHeldItem(player);
+		block.dimension.playSound("dig.wood", block.center());
+	}
+};
+
+/**
+ * Gets the block next to the given face of a block.
+ * @param {Block} block
+ * @param {Direction} face
+ * @returns {Block | undefined}
+ */
+function getBlockOnFace(block, face) {
+	switch (face) {
+		case Direction.Up:
+			return block.above();
+		case Direction.Down:
+			return block.below();
+		case Direction.North:
+			return block.north();
+		case Direction.South:
+			return block.south();
+		case Direction.East:
+			return block.east();
+		case Direction.West:
+			return block.west();
+	}
+}
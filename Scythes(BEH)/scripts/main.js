@@ -1,19 +1,32 @@
-import { BlockVolume, Player, system, world } from "@minecraft/server";
-import { WoodenScythe } from "./item_behaviors/WoodenScythe";
-import { destroyBlocksArc, getBlock, getBlocksInSweep, getEntitiesInSweep } from "./BlockUtils";
+import { Player, system, world } from "@minecraft/server";
+import { destroyBlocksArc, showSweepPreview } from "./BlockUtils";
 import { TickBreakCrop } from "./block_behaviors/tickBreakCrop";
 import { OnUseOnScytheHarvest } from "./item_behaviors/OnUseOnScytheHarvest";
-import { clearHeldItem, getHeldItem, setHeldItem } from "./InventoryLibrary(1.1.2)";
-import { getItemPropertyTag } from "./ItemUtils";
+import { Crowbar } from "./item_behaviors/Crowbar";
+import { PackedContainer } from "./item_behaviors/PackedContainer";
+import { getHeldItem } from "./InventoryLibrary(1.1.2)";
+import { doesScytheHitSweep, getScytheArc, getScytheHeight, getScytheReach, getScytheShape, isScytheChargeable, isScytheSingleTarget } from "./ItemUtils";
+import { getPlayerSetting, showScytheSettingsForm } from "./PlayerSettings";
+import { getWorldConfig } from "./WorldConfig";
+import { runScytheCommand, scytheCommandEventId } from "./ScytheCommands";
+import { damageScytheAfterSweep } from "./ScytheDurability";
+import { canMobSweep, sweepMobs } from "./MobSweep";
+import { releaseSweepCharge, startSweepCharge, updateSweepCharges } from "./ChargedSweep";
+import { setRandomSeed } from "./Random";
 
 world.beforeEvents.worldInitialize.subscribe((eventData) => {
-	eventData.itemComponentRegistry.registerCustomComponent("djc:wooden_scythe", WoodenScythe);
-
 	eventData.itemComponentRegistry.registerCustomComponent("djc:on_use_on_scythe_harvest", OnUseOnScytheHarvest);
+	eventData.itemComponentRegistry.registerCustomComponent("djc:crowbar", Crowbar);
+	eventData.itemComponentRegistry.registerCustomComponent("djc:packed_container", PackedContainer);
 
 	eventData.blockComponentRegistry.registerCustomComponent("djc:tick_break_crop", TickBreakCrop);
 });
 
+// Rolls follow the world's seed, if an admin has set one
+world.afterEvents.worldInitialize.subscribe(() => {
+	setRandomSeed(getWorldConfig().randomSeed);
+});
+
 world.afterEvents.entityHurt.subscribe((eventData) => {
 	const damage = eventData.damage;
 	const source = eventData.damageSource;
@@ -41,23 +54,91 @@ world.afterEvents.entityHurt.subscribe((eventData) => {
 		return;
 	}
 
-	const reach = parseInt(getItemPropertyTag(heldItem, "reach"));
+	// Admins can turn the mob sweep off for the whole world, and single target scythes never sweep.
+	if (!getWorldConfig().mobSweep || isScytheSingleTarget(heldItem)) {
+		return;
+	}
+
+	// Hits dealt by the sweep itself, or landed while it is cooling down, don't sweep again.
+	if (!canMobSweep(player, hurtEntity)) {
+		return;
+	}
+
+	sweepMobs(player, heldItem, hurtEntity, damage);
+});
+
+// Sneak-using a scythe in the air opens its settings
+world.afterEvents.itemUse.subscribe((eventData) => {
+	const player = eventData.source;
+	const item = eventData.itemStack;
+
+	if (!player.isSneaking || !item.getTags().includes("scythe")) {
+		return;
+	}
+
+	showScytheSettingsForm(player);
+});
 
-	const mobs = getEntitiesInSweep(player, 100, reach);
+// Holding use with a chargeable scythe charges a bigger sweep
+world.afterEvents.itemStartUse.subscribe((eventData) => {
+	const player = eventData.source;
+	const item = eventData.itemStack;
 
-	mobs.forEach((mob) => {
-		mob.applyDamage(damage * getRandomFloat(0.3, 0.5), { damagingEntity: player, cause: "entityAttack" });
-	});
+	// Sneaking players are opening their settings instead.
+	if (player.isSneaking || !item.getTags().includes("scythe") || !isScytheChargeable(item)) {
+		return;
+	}
 
-	player.playSound(`scythe.shing`, { pitch: getRandomInt(1, 1.4), volume: 0.5 });
+	startSweepCharge(player, item);
+});
 
-	const chanceForTwo = 1 / 5;
+// Letting go of use releases the charged sweep
+world.afterEvents.itemReleaseUse.subscribe((eventData) => {
+	const player = eventData.source;
+	const item = eventData.itemStack ?? getHeldItem(player);
 
-	if (mobs.length > 1) {
-		player.playSound(`scythe.slash`, { pitch: getRandomInt(1, 1.4), volume: 0.5 });
+	if (!item || !item.getTags().includes("scythe")) {
+		return;
 	}
+
+	releaseSweepCharge(player, item);
 });
 
+// Shows charging players how big their sweep has grown
+system.runInterval(() => {
+	updateSweepCharges(world.getAllPlayers());
+}, 2);
+
+// Shows the sweep of the held scythe to sneaking players who have turned the preview on
+system.runInterval(() => {
+	for (const player of world.getAllPlayers()) {
+		if (!player.isSneaking || !getPlayerSetting(player, "sweepPreview")) {
+			continue;
+		}
+
+		const heldItem = getHeldItem(player);
+
+		// Only scythes that sweep have anything to preview.
+		if (!heldItem || !heldItem.getTags().includes("scythe") || isScytheSingleTarget(heldItem)) {
+			continue;
+		}
+
+		showSweepPreview(player, getScytheArc(heldItem), getScytheReach(heldItem), getScytheShape(heldItem));
+	}
+}, 10);
+
+// Handles admin commands, like /scriptevent djc:scythe list
+system.afterEvents.scriptEventReceive.subscribe(
+	(eventData) => {
+		if (eventData.id !== scytheCommandEventId) {
+			return;
+		}
+
+		runScytheCommand(eventData.message, eventData.sourceEntity);
+	},
+	{ namespaces: ["djc"] }
+);
+
 // Handles scythe destruction
 world.afterEvents.entityHitBlock.subscribe((eventData) => {
 	const entity = eventData.damagingEntity;
@@ -80,55 +161,13 @@ world.afterEvents.entityHitBlock.subscribe((eventData) => {
 		return;
 	}
 
-	// Wooden scythe behaves a little differently
-	if (heldItem.typeId !== "djc:wooden_scythe") {
-		const reach = parseInt(getItemPropertyTag(heldItem, "reach"));
-
-		let processedBlockCount = destroyBlocksArc(entity, 180, reach);
-
-		if (processedBlockCount > 0) {
-			const modifiedItem = heldItem.clone();
-
-			const durability = modifiedItem.getComponent("durability");
-
-			if (durability.damage + 1 > durability.maxDurability) {
-				clearHeldItem(entity);
-				entity.playSound("random.break");
-				return;
-			} else {
-				durability.damage += 1;
-			}
+	// Some scythes, like the wooden scythe, don't sweep when hitting blocks
+	if (doesScytheHitSweep(heldItem)) {
+		const reach = getScytheReach(heldItem);
+		const arc = getScytheArc(heldItem);
+		const height = getScytheHeight(heldItem);
+		const shape = getScytheShape(heldItem);
 
-			setHeldItem(entity, modifiedItem);
-		}
+		damageScytheAfterSweep(entity, heldItem, destroyBlocksArc(entity, arc, reach, height, shape));
 	}
 });
-
-export function getRandomFloat(min, max) {
-	// Ensure min and max are numbers
-	if (typeof min !== "number" || typeof max !== "number") {
-		throw new Error("Both min and max must be numbers.");
-	}
-
-	// Ensure min is less than or equal to max
-	if (min > max) {
-		throw new Error("Min should not be greater than max.");
-	}
-
-	// Generate a random float between min and max
-	const randomFloat = Math.random() * (max - min) + min;
-
-	// Round to one decimal point
-	return Math.round(randomFloat * 10) / 10;
-}
-
-export function getRandomInt(min, max) {
-	if (typeof min !== "number" || typeof max !== "number") {
-		throw new Error("Both min and max must be numbers");
-	}
-	if (min > max) {
-		throw new Error("min should be less than or equal to max");
-	}
-
-	return Math.floor(Math.random() * (max - min + 1)) + min;
-}